@@ -1,59 +1,257 @@
 /**
- * API Configuration - TEST VERSION
- * Backend: https://chat.ndum.ch/api/v1
+ * API Configuration
+ * Environment-Profile (local, staging, production)
+ *
+ * Auswahl des Profils (höchste Priorität zuerst):
+ *   1. URL-Parameter:   index.html?profile=local
+ *   2. localStorage:    localStorage.setItem('livechat_profile', 'local')
+ *   3. Meta-Tag:        <meta name="livechat-profile" content="local">
+ *   4. Standard:        production
  */
 
+const DEFAULT_PROFILE = 'production';
+const PROFILE_STORAGE_KEY = 'livechat_profile';
+const PROFILE_QUERY_PARAM = 'profile';
+const PROFILE_META_NAME = 'livechat-profile';
+
+const hasWindow = typeof window !== 'undefined';
+
+/**
+ * Build URLs for a backend served from the same origin as the frontend
+ * @returns {object} BASE_URL and WS_URL overrides
+ */
+function sameOriginUrls() {
+    if (!hasWindow) return {};
+    const { protocol, host } = window.location;
+    return {
+        BASE_URL: `${protocol}//${host}/api/v1`,
+        WS_URL: `${protocol === 'https:' ? 'wss:' : 'ws:'}//${host}`,
+    };
+}
+
+/**
+ * Profiles only list what differs from the base config below.
+ * Overridable: BASE_URL, WS_URL, TIMEOUT, WS_EVENTS (merged per event),
+ * WS_DIALECT ('event', 'type' or 'auto' - see WS_EVENTS.DIALECT)
+ */
+export const PROFILES = {
+    production: {
+        BASE_URL: 'https://chat.ndum.ch/api/v1',
+        WS_URL: 'wss://chat.ndum.ch',
+    },
+
+    // Frontend wird vom Backend-Host selbst ausgeliefert
+    staging: {
+        ...sameOriginUrls(),
+    },
+
+    // Mock-Server (`npm run mock`)
+    local: {
+        BASE_URL: 'http://localhost:3001/api/v1',
+        WS_URL: 'ws://localhost:3001',
+        TIMEOUT: 5000,
+    },
+};
+
+/**
+ * Read the requested profile name from URL, localStorage or <meta> tag
+ * @returns {string} Profile name
+ */
+function resolveProfileName() {
+    if (!hasWindow) return DEFAULT_PROFILE;
+
+    const candidates = [];
+
+    try {
+        candidates.push(new URLSearchParams(window.location.search).get(PROFILE_QUERY_PARAM));
+    } catch (error) {
+        // Ignore malformed URLs
+    }
+
+    try {
+        candidates.push(window.localStorage.getItem(PROFILE_STORAGE_KEY));
+    } catch (error) {
+        // localStorage may be blocked (private mode)
+    }
+
+    const meta = typeof document !== 'undefined'
+        ? document.querySelector(`meta[name="${PROFILE_META_NAME}"]`)
+        : null;
+    candidates.push(meta?.content);
+
+    for (const name of candidates) {
+        if (!name) continue;
+        if (PROFILES[name]) return name;
+        console.warn(`Unknown config profile "${name}" - ignoring`);
+    }
+
+    return DEFAULT_PROFILE;
+}
+
+const ACTIVE_PROFILE = resolveProfileName();
+const profile = PROFILES[ACTIVE_PROFILE];
+
+// WebSocket event names (server -> client and client -> server)
+const WS_EVENT_NAMES = {
+    // Receive
+    MESSAGE: 'new_message',
+    USER_JOINED: 'new_login',
+    USER_LEFT: 'deleted_user',
+    USER_UPDATED: 'changed_user',
+    MESSAGE_UPDATED: 'changed_message',
+    MESSAGE_DELETED: 'deleted_message',
+    TYPING: 'typing',
+    PRESENCE: 'presence',   // { userId, status } - also sent: { status } (online/away)
+    WELCOME: 'welcome',     // Handshake reply: { dialect, capabilities }
+    ACK: 'ack',             // Server confirms a frame
+    PONG: 'pong',           // Heartbeat reply
+
+    // Send
+    HELLO: 'hello',         // Handshake: { token, dialects, capabilities }
+    AUTH: 'auth',
+    PING: 'ping',
+    SEND_MESSAGE: 'message',
+    START_TYPING: 'start_typing',
+    STOP_TYPING: 'stop_typing',
+
+    ...profile.WS_EVENTS,
+};
+
+/**
+ * Frame shapes of one WebSocket dialect (exactly one frame per action)
+ * @param {string} field - Property the server reads the event name from
+ * @returns {object} Frame builders per action
+ */
+function createFrames(field) {
+    const names = WS_EVENT_NAMES;
+    return {
+        HELLO: (hello) => ({ [field]: names.HELLO, ...hello }),
+        AUTH: (token) => ({ [field]: names.AUTH, token }),
+        PING: (sentAt) => ({ [field]: names.PING, sentAt }),
+        SEND_MESSAGE: (receiverId, message) => ({ [field]: names.SEND_MESSAGE, receiverId, message }),
+        START_TYPING: (receiverId) => ({ [field]: names.START_TYPING, receiverId }),
+        STOP_TYPING: (receiverId) => ({ [field]: names.STOP_TYPING, receiverId }),
+        PRESENCE: (status) => ({ [field]: names.PRESENCE, status }),
+    };
+}
+
 export const API_CONFIG = {
+    // Active profile name
+    PROFILE: ACTIVE_PROFILE,
+
     // Base URLs
-    BASE_URL: 'https://chat.ndum.ch/api/v1',
-    
-    // Option 1: Root (wahrscheinlichste)
-    WS_URL: 'wss://chat.ndum.ch',
-    
+    BASE_URL: profile.BASE_URL ?? PROFILES[DEFAULT_PROFILE].BASE_URL,
+    WS_URL: profile.WS_URL ?? PROFILES[DEFAULT_PROFILE].WS_URL,
+
     // API Endpoints
     ENDPOINTS: {
         // Auth
         REGISTER: '/auth/register',
         LOGIN: '/auth/login',
-        
+
         // Users
         USERS: '/users',
         USER_BY_ID: (id) => `/users/${id}`,
         UPDATE_USER: (id) => `/users/${id}`,
         DELETE_USER: (id) => `/users/${id}`,
-        
+
         // Messages
         MESSAGES: '/messages',
         MESSAGE_BY_ID: (id) => `/messages/${id}`,
         UPDATE_MESSAGE: (id) => `/messages/${id}`,
         DELETE_MESSAGE: (id) => `/messages/${id}`,
     },
-    
-    // WebSocket Events - TESTE BEIDE VERSIONEN!
+
+    // WebSocket Events
     WS_EVENTS: {
-        // VERSION 1: Aus dem README (für lokales Backend)
-        // Receive
-        MESSAGE: 'new_message',
-        USER_JOINED: 'new_login',
-        USER_LEFT: 'deleted_user',
-        USER_UPDATED: 'changed_user',
-        TYPING: 'typing',
-
-        // Send
-        SEND_MESSAGE: 'message',
-        START_TYPING: 'start_typing',
-        STOP_TYPING: 'stop_typing',
-    },
-    
+        ...WS_EVENT_NAMES,
+
+        // Server dialect: 'auto' negotiates it (handshake, or learned from the
+        // first acknowledged frame - see ws-protocol.js)
+        DIALECT: profile.WS_DIALECT ?? 'auto',
+
+        // Frame shapes per dialect; the first one is the default while negotiating
+        FRAMES: {
+            event: createFrames('event'),   // { event: 'message', ... } (like the server's pushes)
+            type: createFrames('type'),     // { type: 'message', ... }
+        },
+    },
+
+    // WebSocket heartbeat: ping every INTERVAL, pong expected within TIMEOUT,
+    // reconnect after MAX_MISSED missed pongs
+    WS_HEARTBEAT: {
+        INTERVAL: 15000,
+        TIMEOUT: 5000,
+        MAX_MISSED: 2,
+    },
+
+    // WebSocket reconnect: exponential backoff with jitter, no attempt limit
+    WS_RECONNECT: {
+        BASE_DELAY: 1000,
+        MAX_DELAY: 30000,
+    },
+
+    // Typing indicator: outgoing start_typing at most every SEND_INTERVAL,
+    // stop_typing after STOP_AFTER without input; incoming typing expires
+    // after EXPIRE_AFTER if no stop_typing arrives
+    TYPING: {
+        SEND_INTERVAL: 3000,
+        STOP_AFTER: 2000,
+        EXPIRE_AFTER: 6000,
+    },
+
+    // Presence: a user counts as online for ONLINE_WINDOW after their last
+    // activity (login, message, typing) unless the server reports presence
+    PRESENCE: {
+        ONLINE_WINDOW: 5 * 60 * 1000,
+    },
+
     // Request Configuration
-    TIMEOUT: 10000,
-    
+    TIMEOUT: profile.TIMEOUT ?? 10000,
+
+    // Messages per history page (initial load + infinite scroll)
+    MESSAGES_PAGE_SIZE: 50,
+
+    // Polling fallback: the newest page is fetched again this often (ms) to pick
+    // up edits and deletions, which otherwise only arrive over the WebSocket
+    FALLBACK_REFRESH_INTERVAL: 30 * 1000,
+
+    // Own messages can be edited for this long after sending (ms)
+    MESSAGE_EDIT_WINDOW: 15 * 60 * 1000,
+
+    // Emoji offered for reactions (see js/reactions.js)
+    REACTION_EMOJIS: ['👍', '❤️', '😂', '😮', '😢', '🎉'],
+
+    // Retry with exponential backoff (GETs + 429/502/503)
+    RETRY: {
+        MAX_RETRIES: 3,
+        BASE_DELAY: 500,
+        MAX_DELAY: 8000,
+        STATUS_CODES: [429, 502, 503],
+    },
+
     // Storage Keys
     STORAGE: {
         TOKEN: 'livechat_token',
         USER_ID: 'livechat_user_id',
         USER_DATA: 'livechat_user_data',
+        PROFILE: PROFILE_STORAGE_KEY,
     },
 };
 
-export default API_CONFIG;
\ No newline at end of file
+/**
+ * Persist a profile override in localStorage (takes effect after reload)
+ * @param {string|null} name - Profile name, or null to remove the override
+ */
+export function setProfileOverride(name) {
+    if (name === null) {
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+        return;
+    }
+    if (!PROFILES[name]) {
+        throw new Error(`Unknown config profile "${name}"`);
+    }
+    localStorage.setItem(PROFILE_STORAGE_KEY, name);
+}
+
+export default API_CONFIG;
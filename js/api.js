@@ -4,6 +4,10 @@
  */
 
 import API_CONFIG from '../config/api.config.js';
+import { createApiError, AuthError, NetworkError, TimeoutError } from './errors.js';
+
+// Listeners for 401 responses on protected endpoints (session expired)
+const unauthorizedHandlers = new Set();
 
 /**
  * Get stored JWT token
@@ -14,125 +18,246 @@ export function getToken() {
 }
 
 /**
- * Get user-friendly error message based on status code and endpoint
- * @param {number} status - HTTP status code
- * @param {string} endpoint - API endpoint
- * @param {string} defaultMessage - Default error message from server
- * @returns {string} User-friendly error message
+ * Register a handler that is called when a protected endpoint answers 401
+ * @param {Function} handler - Called with the AuthError
+ * @returns {Function} Unsubscribe function
+ */
+export function onUnauthorized(handler) {
+    unauthorizedHandlers.add(handler);
+    return () => unauthorizedHandlers.delete(handler);
+}
+
+/**
+ * Notify 401 listeners (login/register 401s mean wrong credentials, not an expired session)
+ * @param {AuthError} error - The 401 error
  */
-function getUserFriendlyError(status, endpoint, defaultMessage) {
-    // Check if it's a login endpoint
-    if (endpoint.includes('/login')) {
-        if (status === 401) {
-            return 'Falscher Benutzername oder Passwort';
+function notifyUnauthorized(error) {
+    if (error.endpoint.startsWith('/auth')) return;
+    
+    unauthorizedHandlers.forEach(handler => {
+        try {
+            handler(error);
+        } catch (e) {
+            console.error('Unauthorized handler error:', e);
         }
-        if (status === 404) {
-            return 'Benutzer nicht gefunden';
+    });
+}
+
+/**
+ * Create an AbortError (same shape as the one fetch throws)
+ * @returns {Error} AbortError
+ */
+function createAbortError() {
+    try {
+        return new DOMException('Request aborted', 'AbortError');
+    } catch (e) {
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+/**
+ * Check if an error was caused by a cancelled request
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request was aborted by the caller
+ */
+export function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Wait for a given time, abortable via signal
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
         }
+        
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string|null} header - Header value
+ * @returns {number|null} Delay in milliseconds
+ */
+function parseRetryAfter(header) {
+    if (!header) return null;
+    
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
     }
     
-    // Check if it's a register endpoint
-    if (endpoint.includes('/register')) {
-        if (status === 409) {
-            return 'Benutzername bereits vergeben';
-        }
-        if (status === 400) {
-            return 'Ungültige Eingabe. Bitte überprüfe deine Daten';
-        }
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) {
+        return Math.max(0, date - Date.now());
     }
     
-    // Check if it's a user update endpoint
-    if (endpoint.includes('/user') && endpoint.includes('PUT')) {
-        if (status === 409) {
-            return 'Benutzername bereits vergeben';
-        }
-        if (status === 400) {
-            return 'Ungültige Daten. Bitte überprüfe deine Eingabe';
-        }
+    return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Retry attempt (0-based)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempt) {
+    const { BASE_DELAY, MAX_DELAY } = API_CONFIG.RETRY;
+    const exponential = Math.min(MAX_DELAY, BASE_DELAY * 2 ** attempt);
+    return Math.random() * exponential;
+}
+
+/**
+ * Run a single fetch with timeout. The timeout covers reading the body too,
+ * since a server can stall after sending the headers.
+ * @param {string} url - Request URL
+ * @param {object} config - Fetch config
+ * @param {number} timeout - Timeout in milliseconds
+ * @param {AbortSignal} signal - Caller's abort signal (optional)
+ * @param {object} context - endpoint and method (for error details)
+ * @returns {Promise<object>} { response, data } - data is the parsed JSON body
+ */
+async function fetchWithTimeout(url, config, timeout, signal, context) {
+    const controller = new AbortController();
+    let timedOut = false;
+    
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeout);
+    
+    const onAbort = () => controller.abort();
+    if (signal) {
+        if (signal.aborted) controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
     }
     
-    // General status codes
-    switch (status) {
-        case 400:
-            return 'Ungültige Anfrage. Bitte überprüfe deine Eingabe';
-        case 401:
-            return 'Nicht autorisiert. Bitte melde dich erneut an';
-        case 403:
-            return 'Zugriff verweigert';
-        case 404:
-            return 'Ressource nicht gefunden';
-        case 409:
-            return 'Konflikt: Die Ressource existiert bereits';
-        case 422:
-            return 'Ungültige Daten';
-        case 429:
-            return 'Zu viele Anfragen. Bitte warte einen Moment';
-        case 500:
-            return 'Serverfehler. Bitte versuche es später erneut';
-        case 502:
-            return 'Server nicht erreichbar. Bitte versuche es später erneut';
-        case 503:
-            return 'Service vorübergehend nicht verfügbar';
-        default:
-            // If server provided a message, use it
-            if (defaultMessage && !defaultMessage.includes('HTTP error!')) {
-                return defaultMessage;
-            }
-            return 'Ein Fehler ist aufgetreten. Bitte versuche es erneut';
+    try {
+        const response = await fetch(url, { ...config, signal: controller.signal });
+        const text = await response.text();
+        
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (parseError) {
+            // If JSON parsing fails, create a basic error object
+            data = { message: null };
+        }
+        
+        return { response, data };
+    } catch (error) {
+        if (timedOut) {
+            throw new TimeoutError(`${context.method} ${context.endpoint} timed out after ${timeout}ms`, context);
+        }
+        if (signal?.aborted || isAbortError(error)) {
+            throw createAbortError();
+        }
+        // No response received, or the connection broke while reading the body
+        throw new NetworkError(`${context.method} ${context.endpoint} failed: ${error.message}`, context);
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
     }
 }
 
 /**
  * Make API request
+ * GET requests are retried on network errors and timeouts, every request
+ * on 429/502/503 (honouring Retry-After).
  * @param {string} endpoint - API endpoint
- * @param {object} options - Fetch options
+ * @param {object} options - Fetch options, plus:
+ *   signal (AbortSignal) to cancel, timeout (ms), retries (max retry count)
  * @returns {Promise<any>} Response data
  */
 async function apiRequest(endpoint, options = {}) {
     const url = `${API_CONFIG.BASE_URL}${endpoint}`;
     const token = getToken();
     
+    const {
+        signal,
+        timeout = API_CONFIG.TIMEOUT,
+        retries = API_CONFIG.RETRY.MAX_RETRIES,
+        ...fetchOptions
+    } = options;
+    
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const isIdempotent = method === 'GET';
+    
     const config = {
-        ...options,
+        ...fetchOptions,
         headers: {
             'Content-Type': 'application/json',
             ...(token && { 'Authorization': `Bearer ${token}` }),
-            ...options.headers,
+            ...fetchOptions.headers,
         },
     };
     
-    try {
-        const response = await fetch(url, config);
+    for (let attempt = 0; ; attempt++) {
+        const canRetry = attempt < retries;
         
-        // Parse response
-        let data;
         try {
-            data = await response.json();
-        } catch (parseError) {
-            // If JSON parsing fails, create a basic error object
-            data = { message: null };
-        }
-        
-        // Handle errors
-        if (!response.ok) {
-            const userFriendlyMessage = getUserFriendlyError(
-                response.status,
-                endpoint,
-                data.message
-            );
-            throw new Error(userFriendlyMessage);
-        }
-        
-        return data;
-    } catch (error) {
-        // Network errors (no response from server)
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-            console.error('Network Error:', error);
-            throw new Error('Keine Verbindung zum Server. Bitte überprüfe deine Internetverbindung');
+            const { response, data } = await fetchWithTimeout(url, config, timeout, signal, { endpoint, method });
+            const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+            
+            // Retry on rate limiting / temporary server errors. A Retry-After
+            // longer than MAX_DELAY is not waited for - the error is thrown instead.
+            const retryAfterTooLong = retryAfter !== null && retryAfter > API_CONFIG.RETRY.MAX_DELAY;
+            if (canRetry && !retryAfterTooLong && API_CONFIG.RETRY.STATUS_CODES.includes(response.status)) {
+                const delay = retryAfter ?? getBackoffDelay(attempt);
+                console.warn(`${method} ${endpoint} returned ${response.status}, retrying in ${Math.round(delay)}ms`);
+                await sleep(delay, signal);
+                continue;
+            }
+            
+            // Handle errors
+            if (!response.ok) {
+                const apiError = createApiError(response.status, {
+                    endpoint,
+                    method,
+                    payload: data,
+                    retryAfter,
+                });
+                if (apiError instanceof AuthError && apiError.status === 401) {
+                    notifyUnauthorized(apiError);
+                }
+                throw apiError;
+            }
+            
+            return data;
+        } catch (error) {
+            // Cancelled by caller - never retry
+            if (isAbortError(error)) {
+                throw error;
+            }
+            
+            // Network errors and timeouts (no response from server)
+            if (error instanceof NetworkError && isIdempotent && canRetry) {
+                const delay = getBackoffDelay(attempt);
+                console.warn(`${error.message}, retrying in ${Math.round(delay)}ms`);
+                await sleep(delay, signal);
+                continue;
+            }
+            
+            console.error('API Request Error:', error);
+            throw error;
         }
-        
-        console.error('API Request Error:', error);
-        throw error;
     }
 }
 
@@ -220,9 +345,10 @@ export async function deleteUser(userId) {
 /**
  * Get all messages
  * @param {object} params - Query parameters (optional)
+ * @param {object} options - Request options, e.g. { signal } to cancel (optional)
  * @returns {Promise<array>} List of messages
  */
-export async function getMessages(params = {}) {
+export async function getMessages(params = {}, options = {}) {
     const queryString = new URLSearchParams(params).toString();
     const endpoint = queryString 
         ? `${API_CONFIG.ENDPOINTS.MESSAGES}?${queryString}`
@@ -230,6 +356,7 @@ export async function getMessages(params = {}) {
     
     return apiRequest(endpoint, {
         method: 'GET',
+        ...options,
     });
 }
 
@@ -237,13 +364,15 @@ export async function getMessages(params = {}) {
  * Send a new message
  * @param {string} receiverId - Recipient user ID
  * @param {string} messageText - Message text
+ * @param {object} options - Request options, e.g. { retries: 0 } (optional)
  * @returns {Promise<object>} Created message
  */
-export async function sendMessage(receiverId, messageText) {
+export async function sendMessage(receiverId, messageText, options = {}) {
     // Backend expects: URL query param for receiver, body with {message: "text"}
     return apiRequest(`${API_CONFIG.ENDPOINTS.MESSAGES}?receiverId=${receiverId}`, {
         method: 'POST',
         body: JSON.stringify({ message: messageText }),
+        ...options,
     });
 }
 
@@ -323,15 +452,53 @@ export function clearAuthData() {
     localStorage.removeItem(API_CONFIG.STORAGE.USER_DATA);
 }
 
+/**
+ * Decode the payload of a JWT (no signature check - that's the server's job)
+ * @param {string} token - JWT
+ * @returns {object|null} Claims or null if the token is not a JWT
+ */
+export function decodeToken(token) {
+    try {
+        const payload = token.split('.')[1];
+        if (!payload) return null;
+        
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
+        const json = decodeURIComponent(
+            atob(padded)
+                .split('')
+                .map(c => '%' + c.charCodeAt(0).toString(16).padStart(2, '0'))
+                .join('')
+        );
+        return JSON.parse(json);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Check if a JWT is expired (tokens without exp claim never expire client-side)
+ * @param {string} token - JWT
+ * @param {number} skewMs - Treat tokens expiring within this window as expired
+ * @returns {boolean} True if expired
+ */
+export function isTokenExpired(token, skewMs = 5000) {
+    const claims = decodeToken(token);
+    if (!claims || typeof claims.exp !== 'number') return false;
+    return claims.exp * 1000 - skewMs <= Date.now();
+}
+
 /**
  * Check if user is authenticated
- * @returns {boolean} True if authenticated
+ * @returns {boolean} True if a token exists and is not expired
  */
 export function isAuthenticated() {
-    return !!getToken();
+    const token = getToken();
+    return !!token && !isTokenExpired(token);
 }
 
 export default {
+    isAbortError,
     register,
     login,
     getUsers,
@@ -348,5 +515,8 @@ export default {
     getStoredUserId,
     getToken,
     clearAuthData,
+    decodeToken,
+    isTokenExpired,
     isAuthenticated,
+    onUnauthorized,
 };
\ No newline at end of file
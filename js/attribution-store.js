@@ -0,0 +1,318 @@
+/**
+ * Attribution Store
+ * Remembers which conversation each of our own messages belongs to.
+ *
+ * The backend does not return the receiver of a message, so we record it
+ * ourselves when sending - keyed by the server message id and persisted in
+ * IndexedDB (no expiry). Sends whose response has no id, and entries from the
+ * old text-keyed localStorage cache, are kept as "pending" and bound to a
+ * message id as soon as a matching message (same text, close in time) shows up.
+ */
+
+const DB_NAME = 'livechat';
+const DB_VERSION = 1;
+const SENT_STORE = 'sent_attributions';
+const PENDING_STORE = 'pending_attributions';
+
+// Max distance between local send time and server createdAt for pending matches
+const PENDING_MATCH_WINDOW = 10 * 60 * 1000;
+
+// Old localStorage cache (text-keyed, 1h expiry)
+const LEGACY_CACHE_PREFIX = 'sent_messages_cache_';
+
+/**
+ * Promisify an IDBRequest
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open (and create/upgrade) the database
+ * @returns {Promise<IDBDatabase>} Database
+ */
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SENT_STORE)) {
+                db.createObjectStore(SENT_STORE, { keyPath: 'key' }).createIndex('owner', 'owner');
+            }
+            if (!db.objectStoreNames.contains(PENDING_STORE)) {
+                db.createObjectStore(PENDING_STORE, { keyPath: 'key' }).createIndex('owner', 'owner');
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the server id of a message
+ * @param {object} message - Message data
+ * @returns {string|null} Message id
+ */
+function getMessageId(message) {
+    const id = message?.id ?? message?._id;
+    return id === undefined || id === null ? null : String(id);
+}
+
+class AttributionStore {
+    constructor() {
+        this.db = null;
+        this.owner = null;
+
+        // messageId -> { recipientId, recipientUsername, sentAt }
+        this.sent = new Map();
+
+        // Not yet bound to a message id: [{ key, text, recipientId, recipientUsername, sentAt }]
+        this.pending = [];
+    }
+
+    /**
+     * Load attributions of a user (and migrate the old localStorage cache)
+     * @param {object} user - Current user ({ id, username })
+     */
+    async open(user) {
+        this.owner = String(user.id || user._id);
+        this.sent.clear();
+        this.pending = [];
+
+        try {
+            this.db = await openDatabase();
+
+            const [sent, pending] = await Promise.all([
+                this.getAllForOwner(SENT_STORE),
+                this.getAllForOwner(PENDING_STORE),
+            ]);
+
+            sent.forEach(entry => {
+                this.sent.set(entry.messageId, {
+                    recipientId: entry.recipientId,
+                    recipientUsername: entry.recipientUsername,
+                    sentAt: entry.sentAt,
+                });
+            });
+            this.pending = pending;
+        } catch (error) {
+            // e.g. private mode - attributions only live for this session
+            console.warn('IndexedDB not available, attributions are not persisted:', error);
+            this.db = null;
+        }
+
+        await this.migrateLegacyCache(user.username);
+    }
+
+    /**
+     * Read all entries of the current owner from an object store
+     * @param {string} storeName - Object store
+     * @returns {Promise<array>} Entries
+     */
+    getAllForOwner(storeName) {
+        const index = this.db.transaction(storeName, 'readonly').objectStore(storeName).index('owner');
+        return promisify(index.getAll(this.owner));
+    }
+
+    /**
+     * Write or delete an entry (fire and forget - the in-memory state is authoritative)
+     * @param {string} storeName - Object store
+     * @param {string} method - 'put' or 'delete'
+     * @param {any} value - Entry or key
+     */
+    persist(storeName, method, value) {
+        if (!this.db) return;
+
+        try {
+            const request = this.db.transaction(storeName, 'readwrite').objectStore(storeName)[method](value);
+            request.onerror = () => console.error('Failed to persist attribution:', request.error);
+        } catch (error) {
+            console.error('Failed to persist attribution:', error);
+        }
+    }
+
+    /**
+     * Write several entries in one transaction
+     * @param {string} storeName - Object store
+     * @param {array} entries - Entries
+     * @returns {Promise<void>} Resolves once the transaction has committed
+     */
+    persistAll(storeName, entries) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            const store = transaction.objectStore(storeName);
+            entries.forEach(entry => store.put(entry));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Move entries of the old text-keyed localStorage cache into the pending list.
+     * The old cache is only deleted once the entries are stored in IndexedDB;
+     * without IndexedDB they are used for this session and migrated again next time.
+     * @param {string} username - Username (old cache was keyed by username)
+     */
+    async migrateLegacyCache(username) {
+        const cacheKey = `${LEGACY_CACHE_PREFIX}${username}`;
+        const raw = localStorage.getItem(cacheKey);
+        if (!raw) return;
+
+        let entries;
+        try {
+            entries = Object.entries(JSON.parse(raw)).map(([messageKey, entry]) => this.createPending(
+                messageKey.replace(/^msg_/, ''),
+                { id: entry.receiverId, username: entry.recipientUsername },
+                entry.timestamp
+            ));
+        } catch (error) {
+            // Unreadable - nothing worth keeping
+            console.error('Could not migrate old sent messages cache:', error);
+            localStorage.removeItem(cacheKey);
+            return;
+        }
+
+        this.pending.push(...entries);
+        if (!this.db) return;
+
+        try {
+            await this.persistAll(PENDING_STORE, entries);
+            localStorage.removeItem(cacheKey);
+            console.log(`Migrated ${entries.length} entries from ${cacheKey}`);
+        } catch (error) {
+            console.error('Could not store old sent messages cache, keeping it:', error);
+        }
+    }
+
+    /**
+     * Record the recipient of a message we sent
+     * @param {object} message - Message returned by API.sendMessage()
+     * @param {object} recipient - Recipient user
+     * @param {string} text - Sent text (used if the response has no id)
+     */
+    record(message, recipient, text) {
+        const messageId = getMessageId(message);
+
+        // No id in the response: bind later when the message shows up
+        if (!messageId) {
+            this.addPending(text, recipient, Date.now());
+            return;
+        }
+
+        this.bind(messageId, {
+            recipientId: String(recipient.id || recipient._id),
+            recipientUsername: recipient.username,
+            sentAt: Date.now(),
+        });
+    }
+
+    /**
+     * Store an attribution by message id
+     * @param {string} messageId - Server message id
+     * @param {object} attribution - { recipientId, recipientUsername, sentAt }
+     */
+    bind(messageId, attribution) {
+        this.sent.set(messageId, attribution);
+        this.persist(SENT_STORE, 'put', {
+            key: `${this.owner}:${messageId}`,
+            owner: this.owner,
+            messageId,
+            ...attribution,
+        });
+    }
+
+    /**
+     * Add a send that is not bound to a message id yet
+     * @param {string} text - Message text
+     * @param {object} recipient - Recipient ({ id, username })
+     * @param {number} sentAt - Local send time (ms)
+     */
+    addPending(text, recipient, sentAt) {
+        const entry = this.createPending(text, recipient, sentAt);
+        this.pending.push(entry);
+        this.persist(PENDING_STORE, 'put', entry);
+    }
+
+    /**
+     * Build a pending entry (not stored yet)
+     * @param {string} text - Message text
+     * @param {object} recipient - Recipient ({ id, username })
+     * @param {number} sentAt - Local send time (ms)
+     * @returns {object} Entry
+     */
+    createPending(text, recipient, sentAt) {
+        return {
+            key: `${this.owner}:${sentAt}:${Math.random().toString(36).slice(2)}`,
+            owner: this.owner,
+            text: String(text).trim(),
+            recipientId: String(recipient.id || recipient._id),
+            recipientUsername: recipient.username,
+            sentAt,
+        };
+    }
+
+    /**
+     * Get the recipient of one of our own messages
+     * @param {object} message - Message data (sent by the current user)
+     * @returns {object|null} { recipientId, recipientUsername, sentAt } or null if unknown
+     */
+    resolve(message) {
+        const messageId = getMessageId(message);
+        if (messageId && this.sent.has(messageId)) {
+            return this.sent.get(messageId);
+        }
+
+        return this.resolvePending(message, messageId);
+    }
+
+    /**
+     * Match a message against pending sends (same text, closest in time)
+     * and bind it permanently by id
+     */
+    resolvePending(message, messageId) {
+        if (this.pending.length === 0 || typeof message.message !== 'string') return null;
+
+        const text = message.message.trim();
+        const createdAt = new Date(message.createdAt).getTime();
+
+        let best = null;
+        this.pending.forEach(entry => {
+            if (entry.text !== text) return;
+            const distance = Math.abs(entry.sentAt - createdAt);
+            if (distance <= PENDING_MATCH_WINDOW && (!best || distance < Math.abs(best.sentAt - createdAt))) {
+                best = entry;
+            }
+        });
+
+        if (!best) return null;
+
+        const attribution = {
+            recipientId: best.recipientId,
+            recipientUsername: best.recipientUsername,
+            sentAt: best.sentAt,
+        };
+
+        // Messages without id can still be matched, but not bound
+        if (messageId) {
+            this.pending = this.pending.filter(entry => entry !== best);
+            this.persist(PENDING_STORE, 'delete', best.key);
+            this.bind(messageId, attribution);
+        }
+
+        return attribution;
+    }
+}
+
+// Create singleton instance
+const attributionStore = new AttributionStore();
+
+export default attributionStore;
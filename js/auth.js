@@ -4,8 +4,15 @@
  */
 
 import * as API from './api.js';
+import { getUserFriendlyMessage } from './errors.js';
 import { showError, hideError, showSuccess, setButtonLoading, isValidEmail, validatePassword } from './utils.js';
 
+// sessionStorage keys for the "session expired" flow
+const SESSION_NOTICE_KEY = 'livechat_session_notice';
+const RETURN_TARGET_KEY = 'livechat_return_target';
+
+let sessionExpiring = false;
+
 /**
  * Initialize authentication event listeners
  */
@@ -39,6 +46,13 @@ export function initAuth() {
             switchView('login');
         });
     }
+    
+    // Notice from an expired session (set before the reload)
+    const notice = sessionStorage.getItem(SESSION_NOTICE_KEY);
+    if (notice) {
+        sessionStorage.removeItem(SESSION_NOTICE_KEY);
+        showError('login-error', notice);
+    }
 }
 
 /**
@@ -108,7 +122,7 @@ async function handleLogin(e) {
         
     } catch (error) {
         console.error('Login error:', error);
-        showError('login-error', error.message || 'Login fehlgeschlagen. Bitte versuche es erneut.');
+        showError('login-error', getUserFriendlyMessage(error) || 'Login fehlgeschlagen. Bitte versuche es erneut.');
         setButtonLoading(submitBtn, false);
     }
 }
@@ -184,7 +198,7 @@ async function handleRegister(e) {
         
     } catch (error) {
         console.error('Register error:', error);
-        showError('register-error', error.message || 'Registrierung fehlgeschlagen. Bitte versuche es erneut.');
+        showError('register-error', getUserFriendlyMessage(error) || 'Registrierung fehlgeschlagen. Bitte versuche es erneut.');
         setButtonLoading(submitBtn, false);
     }
 }
@@ -203,6 +217,48 @@ export function logout() {
     window.location.reload();
 }
 
+/**
+ * End an expired session: clear auth data and go back to login with a notice
+ * @param {object|null} returnTarget - { username, recipientId } to reopen after re-login
+ */
+export function expireSession(returnTarget = null) {
+    // Several requests can fail with 401 at once
+    if (sessionExpiring) return;
+    sessionExpiring = true;
+    
+    console.warn('Session expired - redirecting to login');
+    
+    if (returnTarget) {
+        sessionStorage.setItem(RETURN_TARGET_KEY, JSON.stringify(returnTarget));
+    }
+    sessionStorage.setItem(SESSION_NOTICE_KEY, 'Deine Sitzung ist abgelaufen. Bitte melde dich erneut an');
+    
+    API.clearAuthData();
+    
+    // Redirect to login and reload to reset state (same as logout)
+    window.location.hash = '#login';
+    window.location.reload();
+}
+
+/**
+ * Get (and remove) the conversation that was open when the session expired
+ * @param {string} username - Username of the user that logged in again
+ * @returns {string|null} Recipient ID, only if the same user logged in again
+ */
+export function consumeReturnTarget(username) {
+    const raw = sessionStorage.getItem(RETURN_TARGET_KEY);
+    if (!raw) return null;
+    
+    sessionStorage.removeItem(RETURN_TARGET_KEY);
+    
+    try {
+        const target = JSON.parse(raw);
+        return target.username === username ? target.recipientId : null;
+    } catch (error) {
+        return null;
+    }
+}
+
 /**
  * Check if user is authenticated
  * @returns {boolean} True if authenticated
@@ -211,6 +267,15 @@ export function isAuthenticated() {
     return API.isAuthenticated();
 }
 
+/**
+ * Check if a token is stored but already expired
+ * @returns {boolean} True if the session expired
+ */
+export function isSessionExpired() {
+    const token = API.getToken();
+    return !!token && API.isTokenExpired(token);
+}
+
 /**
  * Get current user data
  * @returns {object|null} User data
@@ -222,6 +287,9 @@ export function getCurrentUser() {
 export default {
     initAuth,
     logout,
+    expireSession,
+    consumeReturnTarget,
     isAuthenticated,
+    isSessionExpired,
     getCurrentUser,
 };
\ No newline at end of file
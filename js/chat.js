@@ -3,22 +3,38 @@
  * Handles chat UI and message rendering
  */
 
+import API_CONFIG from '../config/api.config.js';
 import * as API from './api.js';
 import wsService from './websocket.js';
-import { logout } from './auth.js';
+import messageSync, { getMessageKey } from './sync.js';
+import VirtualList from './virtual-list.js';
+import attributionStore from './attribution-store.js';
+import outbox from './outbox.js';
+import typingTracker from './typing.js';
+import presence from './presence.js';
+import unreadStore from './unread.js';
+import editHistory from './edit-history.js';
+import tombstones from './tombstones.js';
+import ContextMenu, { onLongPress } from './context-menu.js';
+import { getSnippet, encodeReply, parseReply } from './replies.js';
+import reactions, { encodeReaction, isReaction } from './reactions.js';
+import { logout, consumeReturnTarget } from './auth.js';
+import { getUserFriendlyMessage, NetworkError } from './errors.js';
 import { 
     getInitials, 
     getAvatarGradient, 
     formatTime, 
     formatDate,
     parseMarkdown,
-    scrollToBottom,
-    isScrolledToBottom,
     showError,
+    showSuccess,
     hideError,
     debounce,
+    throttle,
+    fuzzyMatch,
     playNotificationSound,
-    showNotification
+    showNotification,
+    copyToClipboard
 } from './utils.js';
 
 class ChatManager {
@@ -28,6 +44,65 @@ class ChatManager {
         this.users = [];
         this.messages = [];
         this.messagePollingInterval = null;
+        this.messagesRequest = null;
+        this.messagesRequestRecipientId = null;
+        this.messagesRecipientId = null;
+        this.pollRunning = false;
+        this.lastWindowRefresh = 0;
+        
+        // Infinite scroll: key of the oldest rendered message
+        this.historyStartKey = null;
+        this.loadingOlder = false;
+        
+        // Virtualized message list + keys of live messages that get the slide-in animation
+        this.messageList = null;
+        this.freshMessageKeys = new Set();
+        
+        this.unsubscribeOutbox = null;
+        
+        // Connection indicator: last realtime sign of life, REST unreachable,
+        // banner mode the user dismissed
+        this.lastRealtimeAt = null;
+        this.restOffline = false;
+        this.dismissedBannerMode = null;
+        
+        // Outgoing typing: recipient we told "typing", pending stop,
+        // start frames at most every TYPING.SEND_INTERVAL
+        this.typingRecipientId = null;
+        this.typingStopTimer = null;
+        this.unsubscribeTyping = null;
+        this.unsubscribePresence = null;
+        
+        // Unread messages per conversation (partnerId -> count), title without
+        // the counter, "new messages" separator of the open conversation
+        this.unreadCounts = new Map();
+        this.baseTitle = null;
+        this.unreadSeparator = null;
+        
+        // Sidebar search: query, active filter chips (online/unread/recent),
+        // highlighted result (keyboard navigation), "Neuer Chat" opened
+        this.searchQuery = '';
+        this.searchFilters = new Set();
+        this.highlightedIndex = -1;
+        this.directoryOpen = false;
+        this.applySearch = debounce(() => this.renderUserList(), 150);
+        
+        // Key of the message that is being edited inline
+        this.editingKey = null;
+        
+        // Per-message actions (reply, copy, edit, delete, ...)
+        this.messageMenu = null;
+        
+        // Message quoted by the next sent message
+        this.replyTo = null;
+        
+        // Presence changes of many users at once (history) -> one re-render
+        this.scheduleSidebarRender = debounce(() => this.renderSidebar(), 50);
+        
+        this.sendTypingStart = throttle(
+            (recipientId) => wsService.sendTyping(recipientId, true),
+            API_CONFIG.TYPING.SEND_INTERVAL
+        );
     }
     
     /**
@@ -43,6 +118,22 @@ class ChatManager {
         
         this.currentUser = API.getStoredUser();
         
+        // Which of our messages went to whom (IndexedDB, migrates old cache)
+        await attributionStore.open(this.currentUser);
+        
+        // Unsent messages from the last session are sent again
+        // (its sync goes through syncMessages() so new messages reach the UI)
+        outbox.open(this.currentUser, { sync: () => this.syncAndShowMessages() });
+        
+        // Read markers and seen edits survive reloads
+        unreadStore.open(this.currentUser);
+        editHistory.open(this.currentUser);
+        tombstones.open(this.currentUser);
+        
+        this.unsubscribeOutbox = outbox.onChange((change) => this.handleOutboxChange(change));
+        this.unsubscribeTyping = typingTracker.onChange((userId, isTyping) => this.handleTypingChange(userId, isTyping));
+        this.unsubscribePresence = presence.onChange((userId) => this.handlePresenceChange(userId));
+        
         // Set up UI
         this.setupUI();
         this.setupEventListeners();
@@ -50,11 +141,26 @@ class ChatManager {
         // Load initial data
         await this.loadUsers();
         
+        // Latest messages give everyone's "last seen" and the unread counts
+        this.syncMessages().catch(error => console.error('Error loading messages:', error));
+        
         // Connect WebSocket
         this.connectWebSocket();
         
         // Start polling for messages (fallback if WebSocket fails)
         this.startMessagePolling();
+        
+        // Reopen the conversation that was open when the session expired
+        const returnRecipientId = consumeReturnTarget(this.currentUser.username);
+        if (returnRecipientId) {
+            const recipient = this.users.find(u => String(u.id || u._id) === String(returnRecipientId));
+            if (recipient) {
+                await this.selectUser(recipient);
+            }
+        }
+        
+        // Opened through a message link
+        await this.openPermalink();
     }
     
     /**
@@ -66,6 +172,33 @@ class ChatManager {
         const currentUserEmail = document.getElementById('current-user-email');
         const currentUserInitial = document.getElementById('current-user-initial');
         
+        // Virtualized message list (created once)
+        const messagesContainer = document.getElementById('messages-container');
+        const messagesList = document.getElementById('messages-list');
+        if (!this.messageList && messagesContainer && messagesList) {
+            this.messageList = new VirtualList({
+                container: messagesContainer,
+                list: messagesList,
+                getKey: (row) => row.key,
+                renderItem: (row) => this.renderRow(row),
+                isEqual: (a, b) => a.type === b.type &&
+                    (a.type === 'message'
+                        ? a.message === b.message && a.editing === b.editing &&
+                            a.tombstone === b.tombstone && a.parent === b.parent &&
+                            a.reactions === b.reactions
+                        : a.label === b.label),
+            });
+        }
+        
+        const messageMenu = document.getElementById('message-menu');
+        if (!this.messageMenu && messageMenu) {
+            this.messageMenu = new ContextMenu(messageMenu);
+        }
+        
+        if (this.baseTitle === null) {
+            this.baseTitle = document.title;
+        }
+        
         if (currentUserName) currentUserName.textContent = this.currentUser.username;
         if (currentUserEmail) currentUserEmail.textContent = this.currentUser.email || '';
         if (currentUserInitial) {
@@ -104,6 +237,79 @@ class ChatManager {
             });
         }
         
+        // Load older messages when scrolled to the top
+        const messagesContainer = document.getElementById('messages-container');
+        if (messagesContainer) {
+            messagesContainer.addEventListener('scroll', () => {
+                if (messagesContainer.scrollTop < 80) {
+                    this.loadOlderMessages();
+                }
+            }, { passive: true });
+        }
+        
+        // Manual WebSocket reconnect
+        const reconnectBtn = document.getElementById('reconnect-btn');
+        if (reconnectBtn) {
+            reconnectBtn.addEventListener('click', () => wsService.reconnectNow());
+        }
+        
+        // Connection banner (offline / reconnecting) can be dismissed until the mode changes
+        const bannerClose = document.getElementById('connection-banner-close');
+        if (bannerClose) {
+            bannerClose.addEventListener('click', () => {
+                this.dismissedBannerMode = this.getConnectionMode();
+                this.updateConnectionStatus();
+            });
+        }
+        window.addEventListener('online', () => this.updateConnectionStatus());
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        
+        // Messages that arrived while the tab was hidden are read once it is visible
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.markConversationRead();
+            }
+        });
+        
+        // "Neuer Chat": all users as picker instead of the conversations
+        const newChatBtn = document.getElementById('new-chat-btn');
+        if (newChatBtn) {
+            newChatBtn.addEventListener('click', () => {
+                if (this.isSearchActive()) {
+                    this.clearSearch();
+                    return;
+                }
+                this.toggleUserDirectory();
+                if (this.directoryOpen) {
+                    document.querySelector('#user-list .user-item')?.focus();
+                }
+            });
+        }
+        const userDirectory = document.getElementById('user-directory');
+        if (userDirectory) {
+            userDirectory.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    this.toggleUserDirectory(false);
+                    newChatBtn?.focus();
+                }
+            });
+        }
+        
+        // User search (incremental, fuzzy) with keyboard navigation
+        const userSearch = document.getElementById('user-search');
+        if (userSearch) {
+            userSearch.addEventListener('input', () => {
+                this.searchQuery = userSearch.value;
+                this.highlightedIndex = this.searchQuery.trim() ? 0 : -1;
+                this.updateDirectoryVisibility();
+                this.applySearch();
+            });
+            userSearch.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
+        }
+        document.querySelectorAll('.filter-chip[data-filter]').forEach(chip => {
+            chip.addEventListener('click', () => this.toggleSearchFilter(chip.dataset.filter));
+        });
+        
         // Message form
         const messageForm = document.getElementById('message-form');
         if (messageForm) {
@@ -113,21 +319,33 @@ class ChatManager {
         // Message input for typing indicator
         const messageInput = document.getElementById('message-input');
         if (messageInput) {
-            let typingTimeout;
-            messageInput.addEventListener('input', () => {
-                if (this.currentRecipient) {
-                    wsService.sendTyping(this.currentRecipient.id || this.currentRecipient._id, true);
-                    
-                    clearTimeout(typingTimeout);
-                    typingTimeout = setTimeout(() => {
-                        wsService.sendTyping(this.currentRecipient.id || this.currentRecipient._id, false);
-                    }, 1000);
+            messageInput.addEventListener('input', () => this.handleTypingInput(messageInput.value));
+            messageInput.addEventListener('blur', () => this.stopTyping());
+            messageInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.replyTo) {
+                    e.preventDefault();
+                    this.cancelReply();
                 }
             });
         }
         
+        // Remove the quote of a reply
+        const replyCancel = document.getElementById('reply-cancel');
+        if (replyCancel) {
+            replyCancel.addEventListener('click', () => {
+                this.cancelReply();
+                messageInput?.focus();
+            });
+        }
+        
         // Profile modal
         this.setupProfileModal();
+        
+        // Previous versions of an edited message
+        this.setupHistoryModal();
+        
+        // Message details (time, id)
+        this.setupDetailsModal();
     }
     
     /**
@@ -136,13 +354,323 @@ class ChatManager {
     async loadUsers() {
         try {
             this.users = await API.getUsers();
-            this.renderUserList();
+            this.renderSidebar();
+            this.updateUnread();
         } catch (error) {
             console.error('Error loading users:', error);
             showError('chat-error', 'Fehler beim Laden der Benutzerliste');
         }
     }
     
+    /**
+     * Render conversations and the user directory
+     */
+    renderSidebar() {
+        this.renderConversationList();
+        this.renderUserList();
+    }
+    
+    /**
+     * Show or hide the "start new chat" user directory
+     * @param {boolean} open - Show it (default: toggle)
+     */
+    toggleUserDirectory(open = null) {
+        this.directoryOpen = open ?? !this.directoryOpen;
+        this.updateDirectoryVisibility();
+    }
+    
+    /**
+     * The directory replaces the conversations while it is opened or a search is active
+     */
+    updateDirectoryVisibility() {
+        const directory = document.getElementById('user-directory');
+        const conversationList = document.getElementById('conversation-list');
+        const newChatBtn = document.getElementById('new-chat-btn');
+        const heading = document.getElementById('directory-heading');
+        const userSearch = document.getElementById('user-search');
+        if (!directory) return;
+        
+        const searching = this.isSearchActive();
+        const show = this.directoryOpen || searching;
+        
+        directory.hidden = !show;
+        if (conversationList) conversationList.hidden = show;
+        if (heading) heading.textContent = searching ? 'Suchergebnisse' : 'Neuer Chat';
+        if (userSearch) userSearch.setAttribute('aria-expanded', String(searching));
+        if (newChatBtn) {
+            newChatBtn.setAttribute('aria-expanded', String(show));
+            newChatBtn.textContent = show ? 'Abbrechen' : 'Neuer Chat';
+        }
+    }
+    
+    /**
+     * Check if a search query or filter is active
+     * @returns {boolean} True if the user list shows search results
+     */
+    isSearchActive() {
+        return this.searchQuery.trim() !== '' || this.searchFilters.size > 0;
+    }
+    
+    /**
+     * Toggle a filter chip
+     * @param {string} filter - online | unread | recent
+     */
+    toggleSearchFilter(filter) {
+        if (this.searchFilters.has(filter)) {
+            this.searchFilters.delete(filter);
+        } else {
+            this.searchFilters.add(filter);
+        }
+        
+        document.querySelectorAll(`.filter-chip[data-filter="${filter}"]`).forEach(chip => {
+            chip.setAttribute('aria-pressed', String(this.searchFilters.has(filter)));
+        });
+        
+        this.highlightedIndex = this.isSearchActive() ? 0 : -1;
+        this.updateDirectoryVisibility();
+        this.renderUserList();
+    }
+    
+    /**
+     * Reset query and filters (back to the conversations)
+     */
+    clearSearch() {
+        const userSearch = document.getElementById('user-search');
+        if (userSearch) userSearch.value = '';
+        
+        this.searchQuery = '';
+        this.searchFilters.clear();
+        this.highlightedIndex = -1;
+        this.directoryOpen = false;
+        
+        document.querySelectorAll('.filter-chip[data-filter]').forEach(chip => {
+            chip.setAttribute('aria-pressed', 'false');
+        });
+        
+        this.updateDirectoryVisibility();
+        this.renderUserList();
+    }
+    
+    /**
+     * Keyboard navigation in the search results
+     * @param {KeyboardEvent} e - Keydown event of the search box
+     */
+    handleSearchKeydown(e) {
+        const items = [...document.querySelectorAll('#user-list .user-item')];
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                if (items.length === 0) return;
+                e.preventDefault();
+                this.highlightedIndex = e.key === 'ArrowDown'
+                    ? Math.min(this.highlightedIndex + 1, items.length - 1)
+                    : Math.max(this.highlightedIndex - 1, 0);
+                this.updateHighlight();
+                break;
+            case 'Enter': {
+                e.preventDefault();
+                // Empty search box: the directory is hidden, nothing to pick
+                if (!this.isSearchActive() || this.highlightedIndex < 0) return;
+                
+                // Results may still be pending (debounce)
+                this.renderUserList();
+                const user = this.getDirectoryUsers()[this.highlightedIndex];
+                if (user) {
+                    this.selectUser(user);
+                }
+                break;
+            }
+            case 'Escape':
+                if (this.isSearchActive()) {
+                    e.preventDefault();
+                    this.clearSearch();
+                } else {
+                    e.target.blur();
+                }
+                break;
+            default:
+                break;
+        }
+    }
+    
+    /**
+     * Mark the highlighted search result (aria-activedescendant)
+     */
+    updateHighlight() {
+        const userSearch = document.getElementById('user-search');
+        const items = [...document.querySelectorAll('#user-list .user-item')];
+        
+        if (this.highlightedIndex >= items.length) {
+            this.highlightedIndex = items.length - 1;
+        }
+        
+        items.forEach((item, index) => {
+            const highlighted = index === this.highlightedIndex;
+            item.classList.toggle('highlighted', highlighted);
+            item.setAttribute('aria-selected', String(highlighted));
+            if (highlighted) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        
+        const highlightedItem = items[this.highlightedIndex];
+        if (userSearch) {
+            if (highlightedItem) {
+                userSearch.setAttribute('aria-activedescendant', highlightedItem.id);
+            } else {
+                userSearch.removeAttribute('aria-activedescendant');
+            }
+        }
+    }
+    
+    /**
+     * Conversations with their latest message, most recent first.
+     * The open conversation is listed even before its first message.
+     * @returns {array} [{ user, lastMessage }] - lastMessage is null for a new chat
+     */
+    getConversations() {
+        const ownId = String(this.currentUser.id || this.currentUser._id);
+        const idsByName = new Map(this.users.map(u => [u.username, String(u.id || u._id)]));
+        const latest = new Map();
+        
+        const consider = (partnerId, message) => {
+            if (partnerId == null || String(partnerId) === ownId) return;
+            const current = latest.get(String(partnerId));
+            if (!current || new Date(message.createdAt) >= new Date(current.createdAt)) {
+                latest.set(String(partnerId), message);
+            }
+        };
+        
+        messageSync.getMessages().forEach(message => {
+            if (isReaction(message)) return;
+            if (message.username === this.currentUser.username) {
+                consider(attributionStore.resolve(message)?.recipientId, message);
+            } else {
+                consider(idsByName.get(message.username), message);
+            }
+        });
+        outbox.getEntries()
+            .filter(entry => !isReaction(entry))
+            .forEach(entry => consider(entry.recipientId, entry));
+        
+        const conversations = [];
+        latest.forEach((lastMessage, partnerId) => {
+            const user = this.findUser(partnerId);
+            if (user) conversations.push({ user, lastMessage });
+        });
+        conversations.sort((a, b) => new Date(b.lastMessage.createdAt) - new Date(a.lastMessage.createdAt));
+        
+        if (this.currentRecipient && !latest.has(String(this.currentRecipient.id || this.currentRecipient._id))) {
+            conversations.unshift({ user: this.currentRecipient, lastMessage: null });
+        }
+        
+        return conversations;
+    }
+    
+    /**
+     * Render recent conversations in sidebar
+     */
+    renderConversationList() {
+        const conversationList = document.getElementById('conversation-list');
+        if (!conversationList || !this.currentUser) return;
+        
+        const conversations = this.getConversations();
+        
+        conversationList.innerHTML = '';
+        
+        if (conversations.length === 0) {
+            conversationList.innerHTML = `
+                <div class="empty-state">
+                    <p>Noch keine Unterhaltungen. Starte einen neuen Chat.</p>
+                </div>
+            `;
+            return;
+        }
+        
+        conversations.forEach(({ user, lastMessage }) => {
+            conversationList.appendChild(this.createConversationItem(user, lastMessage));
+        });
+    }
+    
+    /**
+     * Create conversation item element
+     * @param {object} user - Chat partner
+     * @param {object|null} lastMessage - Latest message of the conversation
+     * @returns {HTMLElement} Conversation item element
+     */
+    createConversationItem(user, lastMessage) {
+        const userId = user.id || user._id;
+        const div = document.createElement('div');
+        div.className = 'user-item conversation-item';
+        div.dataset.userId = userId;
+        div.tabIndex = 0;
+        div.setAttribute('role', 'listitem');
+        
+        if (this.currentRecipient && String(userId) === String(this.currentRecipient.id || this.currentRecipient._id)) {
+            div.classList.add('active');
+        }
+        if (typingTracker.isTyping(userId)) {
+            div.classList.add('typing');
+        }
+        
+        div.innerHTML = `
+            <div class="user-avatar" style="background: ${getAvatarGradient(user.username)};">
+                <span class="user-initial"></span>
+                <span class="status-dot"></span>
+            </div>
+            <div class="user-info">
+                <div class="conversation-header">
+                    <div class="user-name"></div>
+                    <span class="conversation-time"></span>
+                </div>
+                <div class="conversation-preview"></div>
+                <span class="typing-hint">schreibt...</span>
+            </div>
+            <span class="unread-badge" hidden></span>
+        `;
+        
+        // Names and message text are user content - set as text, never as HTML
+        div.querySelector('.user-initial').textContent = getInitials(user.username);
+        div.querySelector('.user-name').textContent = user.username;
+        const preview = div.querySelector('.conversation-preview');
+        const time = div.querySelector('.conversation-time');
+        if (lastMessage) {
+            const own = lastMessage.username === this.currentUser.username;
+            const tombstone = tombstones.get(getMessageKey(lastMessage));
+            const text = tombstone === 'deleted'
+                ? 'Nachricht gelöscht'
+                : tombstone === 'hidden' ? 'Nachricht ausgeblendet' : this.getQuoteSnippet(lastMessage);
+            preview.textContent = `${own ? 'Du: ' : ''}${text}`;
+            time.dataset.time = new Date(lastMessage.createdAt).getTime();
+            time.textContent = formatDate(lastMessage.createdAt);
+        } else {
+            preview.textContent = 'Noch keine Nachrichten';
+        }
+        
+        this.updatePresenceStatus(div, userId);
+        this.updateUnreadBadge(div, this.unreadCounts.get(String(userId)) || 0);
+        
+        div.addEventListener('click', () => this.selectUser(user));
+        div.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.selectUser(user);
+            }
+        });
+        
+        return div;
+    }
+    
+    /**
+     * Keep the relative times of the conversation list current
+     */
+    updateConversationTimes() {
+        document.querySelectorAll('.conversation-time[data-time]').forEach(time => {
+            time.textContent = formatDate(Number(time.dataset.time));
+        });
+    }
+    
     /**
      * Render user list in sidebar
      */
@@ -152,10 +680,7 @@ class ChatManager {
         
         if (!userList) return;
         
-        // Filter out current user
-        const otherUsers = this.users.filter(u => 
-            (u.id || u._id) !== (this.currentUser.id || this.currentUser._id)
-        );
+        const otherUsers = this.getDirectoryUsers();
         
         // Update count
         if (userCount) {
@@ -165,11 +690,56 @@ class ChatManager {
         // Clear list
         userList.innerHTML = '';
         
+        if (otherUsers.length === 0 && this.isSearchActive()) {
+            userList.innerHTML = `
+                <div class="empty-state">
+                    <p>Keine Benutzer gefunden</p>
+                </div>
+            `;
+        }
+        
         // Render users
         otherUsers.forEach(user => {
             const userItem = this.createUserItem(user);
             userList.appendChild(userItem);
         });
+        
+        this.updateHighlight();
+    }
+    
+    /**
+     * Users of the directory: everyone but us, filtered by search and chips.
+     * Search results are ordered by match quality, otherwise online users first.
+     * @returns {array} Users
+     */
+    getDirectoryUsers() {
+        const ownId = String(this.currentUser.id || this.currentUser._id);
+        const query = this.searchQuery.trim();
+        const recentIds = this.searchFilters.has('recent')
+            ? new Set(this.getConversations()
+                .filter(conversation => conversation.lastMessage)
+                .map(conversation => String(conversation.user.id || conversation.user._id)))
+            : null;
+        
+        const results = [];
+        this.users.forEach(user => {
+            const userId = String(user.id || user._id);
+            if (userId === ownId) return;
+            
+            if (this.searchFilters.has('online') && presence.getStatus(userId) !== 'online') return;
+            if (this.searchFilters.has('unread') && !this.unreadCounts.get(userId)) return;
+            if (recentIds && !recentIds.has(userId)) return;
+            
+            const score = fuzzyMatch(query, user.username);
+            if (score === null) return;
+            
+            results.push({ user, score });
+        });
+        
+        return results
+            .sort((a, b) => (b.score - a.score) ||
+                presence.compare(a.user.id || a.user._id, b.user.id || b.user._id))
+            .map(result => result.user);
     }
     
     /**
@@ -180,7 +750,10 @@ class ChatManager {
     createUserItem(user) {
         const div = document.createElement('div');
         div.className = 'user-item';
+        div.id = `user-option-${user.id || user._id}`;
         div.dataset.userId = user.id || user._id;
+        div.tabIndex = 0;
+        div.setAttribute('role', 'option');
         
         const isActive = this.currentRecipient && 
             (user.id || user._id) === (this.currentRecipient.id || this.currentRecipient._id);
@@ -188,6 +761,9 @@ class ChatManager {
         if (isActive) {
             div.classList.add('active');
         }
+        if (typingTracker.isTyping(user.id || user._id)) {
+            div.classList.add('typing');
+        }
         
         const initial = getInitials(user.username);
         const gradient = getAvatarGradient(user.username);
@@ -199,18 +775,29 @@ class ChatManager {
             <div class="user-info">
                 <div class="user-name">${user.username}</div>
                 <div class="user-status">
-                    <span class="status-dot online"></span>
-                    <span class="status-text">Online</span>
+                    <span class="status-dot"></span>
+                    <span class="status-text"></span>
+                    <span class="typing-hint">schreibt...</span>
                 </div>
             </div>
+            <span class="unread-badge" hidden></span>
             <svg class="arrow-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor">
                 <polyline points="9 18 15 12 9 6"></polyline>
             </svg>
         `;
         
+        this.updatePresenceStatus(div, user.id || user._id);
+        this.updateUnreadBadge(div, this.unreadCounts.get(String(user.id || user._id)) || 0);
+        
         div.addEventListener('click', () => {
             this.selectUser(user);
         });
+        div.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.selectUser(user);
+            }
+        });
         
         return div;
     }
@@ -220,19 +807,27 @@ class ChatManager {
      * @param {object} user - User data
      */
     async selectUser(user) {
+        this.stopTyping();
+        if (this.currentRecipient !== user) {
+            this.cancelReply();
+        }
         this.currentRecipient = user;
+        if (this.isSearchActive() || this.directoryOpen) {
+            this.clearSearch();
+        }
         
-        // Update active state in user list
+        // Update active state in user list (a new chat shows up in the conversations)
         document.querySelectorAll('.user-item').forEach(item => {
             item.classList.remove('active');
         });
-        const userItem = document.querySelector(`[data-user-id="${user.id || user._id}"]`);
-        if (userItem) {
-            userItem.classList.add('active');
-        }
+        document.querySelectorAll(`.user-item[data-user-id="${user.id || user._id}"]`).forEach(item => {
+            item.classList.add('active');
+        });
+        this.renderConversationList();
         
         // Update chat header
         this.updateChatHeader(user);
+        this.updateTypingIndicator();
         
         // Show chat UI
         this.showChatUI();
@@ -258,10 +853,7 @@ class ChatManager {
         
         if (recipientName) recipientName.textContent = user.username;
         if (recipientStatus) {
-            recipientStatus.innerHTML = `
-                <span class="status-dot online"></span>
-                <span class="status-text">Online</span>
-            `;
+            this.updatePresenceStatus(recipientStatus, user.id || user._id);
         }
         if (recipientInitial) {
             recipientInitial.textContent = getInitials(user.username);
@@ -272,6 +864,126 @@ class ChatManager {
         }
     }
     
+    /**
+     * Show a user's presence (dot + text) in a status element
+     * @param {HTMLElement} element - Element with .status-dot and (optional) .status-text
+     * @param {string} userId - User id
+     */
+    updatePresenceStatus(element, userId) {
+        if (!element) return;
+        
+        const status = presence.getStatus(userId);
+        const lastSeen = presence.getLastSeen(userId);
+        
+        const dot = element.querySelector('.status-dot');
+        const text = element.querySelector('.status-text');
+        
+        if (dot) dot.className = `status-dot ${status}`;
+        if (text) {
+            if (status === 'online') {
+                text.textContent = 'Online';
+            } else if (status === 'away') {
+                text.textContent = 'Abwesend';
+            } else {
+                text.textContent = lastSeen ? `Zuletzt gesehen: ${formatDate(lastSeen)}` : 'Offline';
+            }
+        }
+    }
+    
+    /**
+     * Refresh all presence texts ("Zuletzt gesehen: vor X Min." gets older)
+     */
+    updatePresenceStatuses() {
+        document.querySelectorAll('.user-item[data-user-id]').forEach(item => {
+            this.updatePresenceStatus(item, item.dataset.userId);
+        });
+        
+        if (this.currentRecipient) {
+            this.updatePresenceStatus(
+                document.getElementById('recipient-status'),
+                this.currentRecipient.id || this.currentRecipient._id
+            );
+        }
+    }
+    
+    /**
+     * A user's status changed - re-sort the list and update the header
+     * @param {string} userId - User id
+     */
+    handlePresenceChange(userId) {
+        this.scheduleSidebarRender();
+        
+        if (this.currentRecipient && String(this.currentRecipient.id || this.currentRecipient._id) === userId) {
+            this.updatePresenceStatus(document.getElementById('recipient-status'), userId);
+        }
+    }
+    
+    /**
+     * Record the latest message of every sender as their last activity
+     * @param {array} messages - Messages
+     */
+    trackPresence(messages) {
+        const latest = new Map();
+        messages.forEach(message => {
+            if (!message.username || !message.createdAt) return;
+            const time = new Date(message.createdAt).getTime();
+            if (!(latest.get(message.username) >= time)) {
+                latest.set(message.username, time);
+            }
+        });
+        
+        this.users.forEach(user => {
+            if (latest.has(user.username)) {
+                presence.seen(user.id || user._id, latest.get(user.username));
+            }
+        });
+    }
+    
+    /**
+     * Fetch new messages (see sync.js), replace temporary entries of our own
+     * sends and update presence
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<object>} { added, changed, reconciled }
+     */
+    async syncMessages(signal) {
+        let result;
+        try {
+            result = await messageSync.sync({
+                signal,
+                limit: API_CONFIG.MESSAGES_PAGE_SIZE,
+            });
+        } catch (error) {
+            if (!API.isAbortError(error)) {
+                this.restOffline = error instanceof NetworkError;
+                this.updateConnectionStatus();
+            }
+            throw error;
+        }
+        const { added, changed } = result;
+        
+        this.restOffline = false;
+        this.updateConnectionStatus();
+        
+        // Copies of our own sends (binds their recipient, replaces the temporary entry)
+        const reconciled = new Set();
+        added.forEach(message => {
+            const entry = outbox.reconcile(message);
+            if (entry) {
+                reconciled.add(message);
+                this.messageList?.renameKey(getMessageKey(entry), getMessageKey(message));
+            }
+        });
+        
+        this.trackPresence(added);
+        if (added.length > 0) {
+            this.updateUnread();
+            this.renderConversationList();
+            this.refreshReactions();
+        }
+        
+        return { added, changed, reconciled };
+    }
+    
     /**
      * Show chat UI elements
      */
@@ -289,132 +1001,1348 @@ class ChatManager {
     
     /**
      * Load messages for current recipient
+     * Only new messages are fetched (see sync.js); the DOM is only rebuilt
+     * if the conversation actually changed.
      */
     async loadMessages() {
         if (!this.currentRecipient) return;
         
+        const recipientId = this.currentRecipient.id || this.currentRecipient._id;
+        
+        // A load of this conversation is still running (slow request, retries) -
+        // let it finish. Only a switch to another conversation cancels it.
+        if (this.messagesRequest) {
+            if (this.messagesRequestRecipientId === recipientId) return;
+            this.messagesRequest.abort();
+        }
+        const request = new AbortController();
+        this.messagesRequest = request;
+        this.messagesRequestRecipientId = recipientId;
+        
         try {
-            // Get all messages
-            const allMessages = await API.getMessages();
+            // Fetch new messages since last sync (first sync: newest page only)
+            const result = await this.syncMessages(request.signal);
             
-            const currentUsername = this.currentUser.username;
-            const recipientUsername = this.currentRecipient.username;
+            if (this.messagesRecipientId === recipientId) {
+                this.showSyncedMessages(result);
+                return;
+            }
             
-            // Get sent messages cache (per-user)
-            const sentCacheKey = `sent_messages_cache_${currentUsername}`;
-            const sentCache = JSON.parse(localStorage.getItem(sentCacheKey) || '{}');
+            // Start with the newest page of the new conversation
+            this.messages = this.buildConversation();
+            this.messagesRecipientId = recipientId;
+            this.historyStartKey = null;
+            this.freshMessageKeys.clear();
+            this.unreadSeparator = null;
+            this.editingKey = null;
             
-            this.messages = allMessages.filter(msg => {
-                const senderUsername = msg.username;
-                const messageText = msg.message;
-                
-                // Messages FROM chat partner → always show
-                // NOTE: Backend limitation - we cannot distinguish which partner
-                // they sent it to, so we show ALL messages from this user
-                if (senderUsername === recipientUsername) {
-                    return true;
-                }
-                
-                // Messages FROM current user → check sent cache
-                if (senderUsername === currentUsername) {
-                    const messageKey = `msg_${messageText.trim()}`;
-                    const cached = sentCache[messageKey];
-                    
-                    if (cached && cached.recipientUsername === recipientUsername) {
-                        return true; // Show if sent to this recipient
-                    }
-                    return false; // Hide if sent to someone else
-                }
+            this.renderMessages();
+            this.markConversationRead();
+            this.messageList?.scrollToBottom();
+            await this.fillViewport();
+            
+        } catch (error) {
+            if (API.isAbortError(error)) return;
+            console.error('Error loading messages:', error);
+        } finally {
+            if (this.messagesRequest === request) {
+                this.messagesRequest = null;
+                this.messagesRequestRecipientId = null;
+            }
+        }
+    }
+    
+    /**
+     * Show new and changed messages of a sync in the conversation on screen
+     * @param {object} result - Result of syncMessages()
+     */
+    showSyncedMessages({ added, changed, reconciled }) {
+        // No conversation rendered yet (or it is being switched - that load renders it)
+        const recipientId = this.currentRecipient?.id || this.currentRecipient?._id;
+        if (!recipientId || this.messagesRecipientId !== recipientId) return;
+        
+        if (added.length === 0 && changed.length === 0) {
+            return; // Nothing new - keep DOM as is
+        }
+        
+        this.messages = this.buildConversation();
+        added
+            .filter(message => !reconciled.has(message))
+            .forEach(message => this.freshMessageKeys.add(getMessageKey(message)));
+        
+        this.renderMessages();
+        this.markConversationRead();
+    }
+    
+    /**
+     * Sync outside of loadMessages() (outbox checking an uncertain send)
+     * @returns {Promise<object>} Result of syncMessages()
+     */
+    async syncAndShowMessages() {
+        const result = await this.syncMessages();
+        this.showSyncedMessages(result);
+        return result;
+    }
+    
+    /**
+     * Filter messages down to the current conversation
+     * @param {array} allMessages - All known messages (sorted)
+     * @returns {array} Messages between current user and recipient
+     */
+    filterConversation(allMessages) {
+        return allMessages.filter(msg => this.isInConversation(msg));
+    }
+    
+    /**
+     * Check if a message belongs to the current conversation
+     * @param {object} msg - Message data
+     * @returns {boolean} True if sent by or (by us) to the current recipient
+     */
+    isInConversation(msg) {
+        // Reactions are shown on their target, not as messages
+        if (!this.currentRecipient || isReaction(msg)) return false;
+        
+        const senderUsername = msg.username;
+        
+        // Messages FROM chat partner → always show
+        // NOTE: Backend limitation - we cannot distinguish which partner
+        // they sent it to, so we show ALL messages from this user
+        if (senderUsername === this.currentRecipient.username) {
+            return true;
+        }
+        
+        // Messages FROM current user → check attribution store
+        if (senderUsername === this.currentUser.username) {
+            const attribution = attributionStore.resolve(msg);
+            const recipientId = String(this.currentRecipient.id || this.currentRecipient._id);
+            return !!attribution && attribution.recipientId === recipientId;
+        }
+        
+        return false;
+    }
+    
+    /**
+     * Messages of the current conversation: server messages from the local store,
+     * followed by our own messages that are still in the outbox
+     * @returns {array} Messages
+     */
+    buildConversation() {
+        const recipientId = this.currentRecipient.id || this.currentRecipient._id;
+        
+        // Reactions are shown on their target (see refreshReactions())
+        const unsent = outbox.getEntries(recipientId).filter(entry => !isReaction(entry));
+        
+        return [...this.filterConversation(messageSync.getMessages()), ...unsent];
+    }
+
+    
+    /**
+     * Insert or replace a message in this.messages (never twice)
+     * @param {object} message - Message data
+     * @param {string|null} replaceKey - Key of the entry it replaces (optimistic outbox entry)
+     * @returns {boolean} True if the message was inserted as a new entry
+     */
+    upsertMessage(message, replaceKey = null) {
+        const key = getMessageKey(message);
+        const existingIndex = this.messages.findIndex(m => getMessageKey(m) === key);
+        const replaceIndex = replaceKey && replaceKey !== key
+            ? this.messages.findIndex(m => getMessageKey(m) === replaceKey)
+            : -1;
+        
+        // Replace the temporary entry in place (keeps position and measured height)
+        if (replaceIndex !== -1) {
+            this.messages[replaceIndex] = message;
+            if (existingIndex !== -1) {
+                this.messages.splice(existingIndex, 1);
+            }
+            this.messageList?.renameKey(replaceKey, key);
+            if (this.historyStartKey === replaceKey) {
+                this.historyStartKey = key;
+            }
+            return false;
+        }
+        
+        if (existingIndex !== -1) {
+            this.messages[existingIndex] = message;
+            return false;
+        }
+        
+        // New server messages go before our unsent ones
+        const firstUnsent = this.messages.findIndex(m => m.clientId && !(m.id ?? m._id));
+        if (firstUnsent === -1) {
+            this.messages.push(message);
+        } else {
+            this.messages.splice(firstUnsent, 0, message);
+        }
+        return true;
+    }
+    
+    /**
+     * Apply an outbox change to the open conversation (see outbox.onChange())
+     * @param {object} change - { type, entry, message }
+     */
+    handleOutboxChange({ type, entry, message }) {
+        if (isReaction(entry)) {
+            this.handleReactionOutboxChange(type, entry);
+            return;
+        }
+        
+        // Own sends move their conversation to the top
+        if (type !== 'updated') {
+            this.renderConversationList();
+        }
+        
+        if (!this.currentRecipient) return;
+        
+        const recipientId = String(this.currentRecipient.id || this.currentRecipient._id);
+        if (entry.recipientId !== recipientId) return;
+        
+        const entryKey = getMessageKey(entry);
+        
+        switch (type) {
+            case 'added':
+                this.upsertMessage(entry);
+                this.freshMessageKeys.add(entryKey);
+                break;
+            case 'updated':
+                this.upsertMessage(entry);
+                // 'sending' looks like 'pending' - keep the element (and its animation)
+                if (entry.status === 'sending') return;
+                break;
+            case 'sent':
+                this.upsertMessage(message, entryKey);
+                break;
+            case 'removed':
+                this.messages = this.messages.filter(m => getMessageKey(m) !== entryKey);
+                break;
+            default:
+                return;
+        }
+        
+        this.renderMessages();
+    }
+    
+    /**
+     * Index of the oldest rendered message in this.messages
+     * (initially the start of the newest page)
+     * @returns {number} Start index
+     */
+    getRenderedStartIndex() {
+        let start = this.historyStartKey
+            ? this.messages.findIndex(m => getMessageKey(m) === this.historyStartKey)
+            : -1;
+        
+        if (start === -1) {
+            start = Math.max(0, this.messages.length - API_CONFIG.MESSAGES_PAGE_SIZE);
+            this.historyStartKey = this.messages[start] ? getMessageKey(this.messages[start]) : null;
+        }
+        
+        return start;
+    }
+    
+    /**
+     * Check if there is older history to show (locally or on the server)
+     * @returns {boolean} True if more history is available
+     */
+    hasMoreHistory() {
+        return this.getRenderedStartIndex() > 0 || messageSync.hasOlder;
+    }
+    
+    /**
+     * Render all messages (from the oldest loaded page on)
+     * Only the visible part ends up in the DOM (see virtual-list.js);
+     * unchanged messages keep their elements.
+     */
+    renderMessages() {
+        if (!this.messageList) return;
+        
+        const messages = this.messages.slice(this.getRenderedStartIndex());
+        this.messageList.setItems(this.buildRows(messages));
+    }
+    
+    /**
+     * Build list rows (date dividers + messages) for the virtual list
+     * @param {array} messages - Messages (sorted)
+     * @returns {array} Rows
+     */
+    buildRows(messages) {
+        const rows = [];
+        let lastDate = null;
+        
+        // First unread message of the partner gets a "new messages" separator
+        const separator = this.unreadSeparator;
+        let separatorPlaced = false;
+        
+        messages.forEach(message => {
+            const messageDate = new Date(message.createdAt).toDateString();
+            
+            // Add date divider if date changed
+            if (messageDate !== lastDate) {
+                rows.push({
+                    type: 'divider',
+                    key: `divider:${messageDate}`,
+                    date: message.createdAt,
+                    label: formatDate(message.createdAt),
+                });
+                lastDate = messageDate;
+            }
+            
+            if (separator && !separatorPlaced &&
+                message.username === this.currentRecipient?.username &&
+                new Date(message.createdAt).getTime() > separator.after) {
+                rows.push({ type: 'unread', key: 'unread-separator', label: 'Neue Nachrichten' });
+                separatorPlaced = true;
+            }
+            
+            const key = getMessageKey(message);
+            rows.push({
+                type: 'message',
+                key,
+                message,
+                editing: key === this.editingKey,
+                tombstone: tombstones.get(key),
+                parent: this.getReplyParent(message),
+                reactions: reactions.get(key),
+            });
+        });
+        
+        return rows;
+    }
+    
+    /**
+     * Create the element for a list row
+     * @param {object} row - Row from buildRows()
+     * @returns {HTMLElement} Element
+     */
+    renderRow(row) {
+        if (row.type === 'divider') {
+            return this.createDateDivider(row.date);
+        }
+        if (row.type === 'unread') {
+            return this.createUnreadSeparator(row.label);
+        }
+        
+        const element = this.createMessageElement(row.message);
+        
+        // Animate only messages that just arrived, not ones scrolled back into view
+        if (this.freshMessageKeys.delete(row.key)) {
+            element.classList.add('is-new');
+        }
+        return element;
+    }
+    
+    /**
+     * Create date divider element
+     * @param {Date|string} date - Date of the following messages
+     * @returns {HTMLElement} Divider element
+     */
+    createDateDivider(date) {
+        const divider = document.createElement('div');
+        divider.className = 'date-divider';
+        divider.dataset.date = new Date(date).toDateString();
+        divider.innerHTML = `<span>${formatDate(date)}</span>`;
+        return divider;
+    }
+    
+    /**
+     * Create the "new messages" separator element
+     * @param {string} label - Separator text
+     * @returns {HTMLElement} Separator element
+     */
+    createUnreadSeparator(label) {
+        const separator = document.createElement('div');
+        separator.className = 'unread-separator';
+        separator.setAttribute('role', 'separator');
+        separator.innerHTML = `<span>${label}</span>`;
+        return separator;
+    }
+    
+    /**
+     * Recount unread messages and update badges and the page title
+     */
+    updateUnread() {
+        const messages = messageSync.getMessages()
+            .filter(message => !isReaction(message) && !tombstones.get(getMessageKey(message)));
+        this.unreadCounts = unreadStore.count(messages, this.users);
+        
+        document.querySelectorAll('.user-item[data-user-id]').forEach(item => {
+            this.updateUnreadBadge(item, this.unreadCounts.get(item.dataset.userId) || 0);
+        });
+        
+        // "Ungelesen" filter depends on the counts
+        if (this.searchFilters.has('unread')) {
+            this.renderUserList();
+        }
+        
+        let total = 0;
+        this.unreadCounts.forEach(count => { total += count; });
+        if (this.baseTitle !== null) {
+            document.title = total > 0 ? `(${total}) ${this.baseTitle}` : this.baseTitle;
+        }
+    }
+    
+    /**
+     * Show the unread count on a user item
+     * @param {HTMLElement} item - User item
+     * @param {number} count - Unread messages
+     */
+    updateUnreadBadge(item, count) {
+        const badge = item.querySelector('.unread-badge');
+        if (!badge) return;
+        
+        badge.hidden = count === 0;
+        badge.textContent = count > 99 ? '99+' : String(count);
+        badge.setAttribute('aria-label', `${count} ungelesene Nachricht${count === 1 ? '' : 'en'}`);
+        item.classList.toggle('has-unread', count > 0);
+    }
+    
+    /**
+     * Mark the open conversation as read (only while the tab is visible).
+     * The first time unread messages are marked, the "new messages" separator
+     * is placed in front of them.
+     */
+    markConversationRead() {
+        if (!this.currentRecipient || document.visibilityState === 'hidden') return;
+        
+        const recipientId = this.currentRecipient.id || this.currentRecipient._id;
+        const latest = this.messages
+            .filter(m => m.username === this.currentRecipient.username && m.createdAt)
+            .at(-1);
+        if (!latest) return;
+        
+        const marker = unreadStore.getMarker(recipientId);
+        if (!unreadStore.markRead(recipientId, latest.createdAt)) return;
+        
+        if (!this.unreadSeparator) {
+            this.unreadSeparator = { after: marker };
+            this.renderMessages();
+        }
+        this.updateUnread();
+    }
+    
+    /**
+     * Load the next page of older messages (infinite scroll upwards)
+     * @returns {Promise<boolean>} True if older messages were prepended
+     */
+    async loadOlderMessages() {
+        if (this.loadingOlder || !this.currentRecipient || !this.hasMoreHistory()) {
+            return false;
+        }
+        
+        const recipientId = this.messagesRecipientId;
+        const pageSize = API_CONFIG.MESSAGES_PAGE_SIZE;
+        
+        this.loadingOlder = true;
+        this.setHistoryLoading(true);
+        
+        try {
+            let start = this.getRenderedStartIndex();
+            
+            // Everything local is rendered - fetch older pages from the server.
+            // A page can contain no message of this conversation, so keep going
+            // until it does or the server has nothing more.
+            while (start === 0 && messageSync.hasOlder) {
+                await messageSync.loadOlder({ limit: pageSize });
+                this.foldReactions();
                 
-                return false;
+                // User switched conversation meanwhile
+                if (this.messagesRecipientId !== recipientId) return false;
+                
+                this.messages = this.buildConversation();
+                start = this.getRenderedStartIndex();
+            }
+            
+            if (start === 0) return false;
+            
+            // Prepend; the virtual list keeps the visible message in place
+            const newStart = Math.max(0, start - pageSize);
+            this.historyStartKey = getMessageKey(this.messages[newStart]);
+            this.renderMessages();
+            return true;
+            
+        } catch (error) {
+            if (!API.isAbortError(error)) {
+                console.error('Error loading older messages:', error);
+            }
+            return false;
+        } finally {
+            this.loadingOlder = false;
+            this.setHistoryLoading(false);
+        }
+    }
+    
+    /**
+     * Load older pages until the container is scrollable (otherwise no scroll event fires)
+     */
+    async fillViewport() {
+        const messagesContainer = document.getElementById('messages-container');
+        
+        while (messagesContainer &&
+            messagesContainer.scrollHeight <= messagesContainer.clientHeight &&
+            this.hasMoreHistory()) {
+            const loaded = await this.loadOlderMessages();
+            if (!loaded) break;
+        }
+    }
+    
+    /**
+     * Show/hide "loading older messages" indicator
+     * @param {boolean} loading - Loading state
+     */
+    setHistoryLoading(loading) {
+        const loader = document.getElementById('history-loader');
+        if (loader) {
+            loader.hidden = !loading;
+        }
+    }
+    
+    /**
+     * Create message element
+     * @param {object} message - Message data
+     * @returns {HTMLElement} Message element
+     */
+    createMessageElement(message) {
+        const div = document.createElement('div');
+        div.className = 'message';
+        
+        // Backend format: { username, message } not { sender, text }
+        const senderUsername = message.username;
+        const currentUsername = this.currentUser.username;
+        const isOwn = senderUsername === currentUsername;
+        
+        if (isOwn) {
+            div.classList.add('own');
+        }
+        
+        const sender = isOwn ? this.currentUser : this.currentRecipient;
+        const initial = getInitials(sender.username);
+        const gradient = getAvatarGradient(sender.username);
+        const time = formatTime(message.createdAt);
+        const reply = parseReply(message.message);  // Backend uses 'message' not 'text'
+        const text = parseMarkdown(reply ? reply.body : message.message);
+        
+        // Outbox entry: not confirmed by the server yet
+        const isFailed = message.status === 'failed';
+        if (message.status) {
+            div.classList.add(isFailed ? 'failed' : 'pending');
+        }
+        const statusText = isFailed
+            ? 'Nicht gesendet – tippen zum Wiederholen'
+            : 'Wird gesendet…';
+        
+        // Deleted / hidden: placeholder keeps the message's place in the layout
+        const tombstone = tombstones.get(getMessageKey(message));
+        if (tombstone) {
+            return this.createTombstoneElement(div, message, tombstone, { gradient, initial, sender, time });
+        }
+        
+        const editing = getMessageKey(message) === this.editingKey;
+        const edited = this.isEdited(message);
+        const summary = reactions.get(getMessageKey(message));
+        
+        div.innerHTML = `
+            <div class="user-avatar avatar-sm" style="background: ${gradient};">
+                <span>${initial}</span>
+            </div>
+            <div class="message-content">
+                <div class="message-header">
+                    <span class="message-sender">${sender.username}</span>
+                    <span class="message-time">${time}</span>
+                    ${edited ? '<button type="button" class="message-edited" title="Frühere Versionen anzeigen">(bearbeitet)</button>' : ''}
+                    ${!editing && this.canEdit(message) ? `
+                        <button type="button" class="message-action" data-action="edit" aria-label="Nachricht bearbeiten" title="Bearbeiten">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                                <path d="M12 20h9"></path>
+                                <path d="M16.5 3.5a2.1 2.1 0 0 1 3 3L7 19l-4 1 1-4 12.5-12.5z"></path>
+                            </svg>
+                        </button>` : ''}
+                    ${!editing && !message.status ? `
+                        <button type="button" class="message-action" data-action="react" aria-label="Reagieren" aria-haspopup="menu" title="Reagieren">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+                                <circle cx="12" cy="12" r="10"></circle>
+                                <path d="M8 14s1.5 2 4 2 4-2 4-2"></path>
+                                <line x1="9" y1="9" x2="9.01" y2="9"></line>
+                                <line x1="15" y1="9" x2="15.01" y2="9"></line>
+                            </svg>
+                        </button>
+                        <button type="button" class="message-action" data-action="menu" aria-label="Weitere Aktionen" aria-haspopup="menu" title="Weitere Aktionen">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                                <circle cx="5" cy="12" r="2"></circle>
+                                <circle cx="12" cy="12" r="2"></circle>
+                                <circle cx="19" cy="12" r="2"></circle>
+                            </svg>
+                        </button>` : ''}
+                </div>
+                ${reply ? '<button type="button" class="reply-quote"></button>' : ''}
+                ${editing ? `
+                <form class="message-edit-form" aria-label="Nachricht bearbeiten">
+                    <textarea class="message-edit-input" rows="2" aria-label="Neuer Text"></textarea>
+                    <div class="message-edit-actions">
+                        <button type="button" class="message-edit-cancel">Abbrechen</button>
+                        <button type="submit" class="message-edit-save">Speichern</button>
+                    </div>
+                </form>` : `
+                <div class="message-bubble">
+                    ${text}
+                </div>`}
+                ${summary ? '<div class="message-reactions"></div>' : ''}
+                ${message.status ? `<div class="message-status">${statusText}</div>` : ''}
+            </div>
+        `;
+        
+        if (summary) {
+            this.renderReactions(div.querySelector('.message-reactions'), message, summary);
+        }
+        div.querySelector('.message-edited')?.addEventListener('click', () => this.openHistoryModal(message));
+        if (reply) {
+            this.setupReplyQuote(div.querySelector('.reply-quote'), reply);
+        }
+        div.querySelector('[data-action="edit"]')?.addEventListener('click', () => this.startEditing(message));
+        if (editing) {
+            this.setupEditForm(div.querySelector('.message-edit-form'), message);
+        }
+        
+        // Menu: "⋯" button, right click, long press, or Shift+F10 / context menu key
+        const reactButton = div.querySelector('[data-action="react"]');
+        reactButton?.addEventListener('click', () => this.openReactionPicker(message, reactButton));
+        
+        const menuButton = div.querySelector('[data-action="menu"]');
+        if (menuButton) {
+            menuButton.addEventListener('click', () => this.openMessageMenu(message, { anchor: menuButton }));
+            div.addEventListener('contextmenu', (e) => {
+                e.preventDefault();
+                this.openMessageMenu(message, { x: e.clientX, y: e.clientY, returnFocus: menuButton });
+            });
+            onLongPress(div, (x, y) => this.openMessageMenu(message, { x, y, returnFocus: menuButton }));
+            div.addEventListener('keydown', (e) => {
+                if (e.key === 'ContextMenu' || (e.shiftKey && e.key === 'F10')) {
+                    e.preventDefault();
+                    this.openMessageMenu(message, { anchor: menuButton });
+                }
+            });
+        }
+        
+        if (isFailed) {
+            div.setAttribute('role', 'button');
+            div.tabIndex = 0;
+            div.title = 'Erneut senden';
+            const retry = () => outbox.retry(message.clientId);
+            div.addEventListener('click', retry);
+            div.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    retry();
+                }
+            });
+        }
+        
+        return div;
+    }
+    
+    /**
+     * Fill the quoted parent of a reply; clicking it jumps to the parent.
+     * Uses the loaded parent if possible (current text), otherwise the snippet
+     * stored in the reply.
+     * @param {HTMLButtonElement} button - Quote element above the bubble
+     * @param {object} reply - Parsed reply (see parseReply())
+     */
+    setupReplyQuote(button, reply) {
+        const key = `id:${reply.parentId}`;
+        const parent = messageSync.get(key);
+        const tombstone = tombstones.get(key);
+        const author = parent?.username ?? reply.username;
+        
+        let snippet = parent ? getSnippet(parent.message) : reply.snippet;
+        if (tombstone === 'deleted') {
+            snippet = 'Diese Nachricht wurde gelöscht';
+        } else if (tombstone === 'hidden') {
+            snippet = 'Ausgeblendete Nachricht';
+        }
+        
+        button.innerHTML = `
+            <span class="reply-quote-author"></span>
+            <span class="reply-quote-text"></span>
+        `;
+        button.querySelector('.reply-quote-author').textContent = author;
+        button.querySelector('.reply-quote-text').textContent = snippet;
+        
+        if (tombstone === 'deleted') {
+            button.disabled = true;
+            button.classList.add('unavailable');
+            button.setAttribute('aria-label', `Antwort auf ${author}: ${snippet}`);
+            return;
+        }
+        
+        button.setAttribute('aria-label', `Antwort auf ${author}: ${snippet} – zur Nachricht springen`);
+        button.addEventListener('click', async () => {
+            if (!await this.jumpToMessage(key)) {
+                button.classList.add('unavailable');
+                showError('chat-error', 'Die ursprüngliche Nachricht ist nicht mehr verfügbar');
+            }
+        });
+    }
+    
+    /**
+     * Parent of a reply as far as it affects the rendering
+     * @param {object} message - Message data
+     * @returns {object|string|null} Tombstone, loaded parent or null
+     */
+    getReplyParent(message) {
+        const reply = parseReply(message.message);
+        if (!reply) return null;
+        
+        const key = `id:${reply.parentId}`;
+        return tombstones.get(key) ?? messageSync.get(key) ?? null;
+    }
+    
+    /**
+     * Fill a message element with the placeholder of a deleted / hidden message
+     * @param {HTMLElement} div - Message element
+     * @param {object} message - Message data
+     * @param {string} tombstone - 'deleted' | 'hidden'
+     * @param {object} parts - Avatar and header values of createMessageElement()
+     * @returns {HTMLElement} Message element
+     */
+    createTombstoneElement(div, message, tombstone, { gradient, initial, sender, time }) {
+        div.classList.add('tombstone');
+        
+        const placeholder = tombstone === 'deleted'
+            ? 'Diese Nachricht wurde gelöscht'
+            : 'Du hast diese Nachricht ausgeblendet';
+        
+        div.innerHTML = `
+            <div class="user-avatar avatar-sm" style="background: ${gradient};">
+                <span class="user-initial"></span>
+            </div>
+            <div class="message-content">
+                <div class="message-header">
+                    <span class="message-sender"></span>
+                    <span class="message-time">${time}</span>
+                    ${tombstone === 'hidden' ? '<button type="button" class="message-edited" data-action="unhide">Einblenden</button>' : ''}
+                </div>
+                <div class="message-bubble message-placeholder">${placeholder}</div>
+            </div>
+        `;
+        
+        // Names are user content - set as text, never as HTML
+        div.querySelector('.user-initial').textContent = initial;
+        div.querySelector('.message-sender').textContent = sender.username;
+        div.querySelector('[data-action="unhide"]')?.addEventListener('click', () => this.unhideMessage(message));
+        
+        return div;
+    }
+    
+    /**
+     * Show the action menu of a message
+     * @param {object} message - Message data
+     * @param {object} position - { anchor } button, or { x, y, returnFocus } for a right click
+     */
+    openMessageMenu(message, { anchor = null, x = 0, y = 0, returnFocus = null } = {}) {
+        if (!this.messageMenu) return;
+        
+        const items = this.getMessageActions(message);
+        if (anchor) {
+            this.messageMenu.openAt(anchor, items);
+        } else {
+            this.messageMenu.open({ items, x, y, returnFocus });
+        }
+    }
+    
+    /**
+     * Actions available for a message
+     * @param {object} message - Message data
+     * @returns {array} Menu items ({ label, action, danger })
+     */
+    getMessageActions(message) {
+        const isOwn = message.username === this.currentUser.username;
+        const hasId = (message.id ?? message._id) != null;
+        const items = [
+            { label: 'Antworten', action: () => this.startReply(message) },
+            { label: 'Reagieren', action: () => this.openReactionPicker(message) },
+            { label: 'Text kopieren', action: () => this.copyMessageText(message) },
+        ];
+        
+        if (hasId) {
+            items.push({ label: 'Link kopieren', action: () => this.copyPermalink(message) });
+        }
+        if (this.canEdit(message)) {
+            items.push({ label: 'Bearbeiten', action: () => this.startEditing(message) });
+        }
+        items.push({ label: 'Details', action: () => this.openDetailsModal(message) });
+        items.push({ label: 'Für mich ausblenden', action: () => this.hideMessage(message) });
+        if (isOwn && hasId) {
+            items.push({ label: 'Für alle löschen', danger: true, action: () => this.deleteMessage(message) });
+        }
+        
+        return items;
+    }
+    
+    /**
+     * Show the emoji that can be used as reaction
+     * @param {object} message - Message data
+     * @param {HTMLElement} anchor - Button the picker belongs to (default: react button of the message)
+     */
+    openReactionPicker(message, anchor = null) {
+        const button = anchor || this.messageList?.getElement(getMessageKey(message))?.querySelector('[data-action="react"]');
+        if (!this.messageMenu || !button) return;
+        
+        const key = getMessageKey(message);
+        const items = API_CONFIG.REACTION_EMOJIS.map(emoji => ({
+            label: reactions.hasReacted(key, emoji, this.currentUser.username) ? `${emoji} ✓` : emoji,
+            action: () => this.toggleReaction(message, emoji),
+        }));
+        
+        this.messageMenu.openAt(button, items);
+    }
+    
+    /**
+     * Add our reaction to a message, or take it back if it is there already
+     * @param {object} message - Message data
+     * @param {string} emoji - Emoji
+     */
+    toggleReaction(message, emoji) {
+        if (!this.currentRecipient) return;
+        
+        const active = !reactions.hasReacted(getMessageKey(message), emoji, this.currentUser.username);
+        outbox.enqueue(this.currentRecipient, encodeReaction(message.id ?? message._id, emoji, active));
+    }
+    
+    /**
+     * Aggregated reactions under a bubble; each chip toggles our own reaction
+     * @param {HTMLElement} container - Reactions element of the message
+     * @param {object} message - Message data
+     * @param {array} summary - [{ emoji, users }] (see reactions.get())
+     */
+    renderReactions(container, message, summary) {
+        summary.forEach(({ emoji, users }) => {
+            const own = users.includes(this.currentUser.username);
+            const names = users.map(name => (name === this.currentUser.username ? 'Du' : name)).join(', ');
+            
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = `reaction-chip${own ? ' own' : ''}`;
+            chip.title = names;
+            chip.setAttribute('aria-pressed', String(own));
+            chip.setAttribute('aria-label', `${emoji} ${users.length}: ${names}`);
+            chip.innerHTML = '<span class="reaction-emoji" aria-hidden="true"></span><span class="reaction-count" aria-hidden="true"></span>';
+            chip.querySelector('.reaction-emoji').textContent = emoji;
+            chip.querySelector('.reaction-count').textContent = users.length;
+            chip.addEventListener('click', () => this.toggleReaction(message, emoji));
+            
+            container.appendChild(chip);
+        });
+    }
+    
+    /**
+     * Replay all reaction control messages (sent ones and those still in the outbox)
+     * @returns {Set} Keys of the messages whose reactions changed
+     */
+    foldReactions() {
+        const pending = outbox.getEntries().filter(entry => entry.status !== 'failed');
+        return reactions.fold([...messageSync.getMessages(), ...pending]);
+    }
+    
+    /**
+     * Update the reactions and re-render the messages that changed
+     */
+    refreshReactions() {
+        if (this.foldReactions().size > 0 && this.currentRecipient) {
+            this.renderMessages();
+        }
+    }
+    
+    /**
+     * Own reaction in the outbox: shown right away, dropped again if it cannot be sent
+     * @param {string} type - Outbox change type
+     * @param {object} entry - Outbox entry
+     */
+    handleReactionOutboxChange(type, entry) {
+        if (type === 'updated' && entry.status === 'failed') {
+            outbox.remove(entry.clientId);
+            showError('chat-error', 'Die Reaktion konnte nicht gesendet werden');
+            return;
+        }
+        
+        this.refreshReactions();
+    }
+    
+    /**
+     * Copy the text of a message
+     * @param {object} message - Message data
+     */
+    async copyMessageText(message) {
+        const current = messageSync.get(getMessageKey(message)) || message;
+        
+        if (await copyToClipboard(current.message)) {
+            showSuccess('chat-error', 'Text kopiert');
+        } else {
+            showError('chat-error', 'Text konnte nicht kopiert werden');
+        }
+    }
+    
+    /**
+     * Quote a message in the next sent message
+     * @param {object} message - Message data
+     */
+    startReply(message) {
+        this.replyTo = message;
+        
+        const preview = document.getElementById('reply-preview');
+        const label = document.getElementById('reply-preview-label');
+        const text = document.getElementById('reply-preview-text');
+        if (preview && label && text) {
+            label.textContent = `Antwort an ${message.username}`;
+            text.textContent = this.getQuoteSnippet(message);
+            preview.hidden = false;
+        }
+        
+        document.getElementById('message-input')?.focus();
+    }
+    
+    /**
+     * Send the next message without quote
+     */
+    cancelReply() {
+        this.replyTo = null;
+        
+        const preview = document.getElementById('reply-preview');
+        if (preview) preview.hidden = true;
+    }
+    
+    /**
+     * First line of a message, shortened, without its own quotes
+     * @param {object} message - Message data
+     * @returns {string} Snippet
+     */
+    getQuoteSnippet(message) {
+        const current = messageSync.get(getMessageKey(message)) || message;
+        return getSnippet(current.message);
+    }
+    
+    /**
+     * Link that opens the conversation of a message and scrolls to it
+     * @param {object} message - Message data
+     * @returns {string} URL
+     */
+    getPermalink(message) {
+        const url = new URL(window.location.href);
+        const participants = [this.currentUser.id || this.currentUser._id, this.currentRecipient.id || this.currentRecipient._id];
+        
+        url.searchParams.set('message', message.id ?? message._id);
+        url.searchParams.set('chat', participants.join(','));
+        url.hash = '#chat';
+        
+        return url.toString();
+    }
+    
+    /**
+     * Copy the link of a message
+     * @param {object} message - Message data
+     */
+    async copyPermalink(message) {
+        if (await copyToClipboard(this.getPermalink(message))) {
+            showSuccess('chat-error', 'Link kopiert');
+        } else {
+            showError('chat-error', 'Link konnte nicht kopiert werden');
+        }
+    }
+    
+    /**
+     * Open the conversation and message of a link (see getPermalink()).
+     * The parameters are removed so a reload does not jump again.
+     */
+    async openPermalink() {
+        const url = new URL(window.location.href);
+        const messageId = url.searchParams.get('message');
+        const participants = (url.searchParams.get('chat') || '').split(',');
+        if (!messageId) return;
+        
+        url.searchParams.delete('message');
+        url.searchParams.delete('chat');
+        window.history.replaceState(null, '', url.toString());
+        
+        // Links are only meaningful for the two participants
+        const ownId = String(this.currentUser.id || this.currentUser._id);
+        if (!participants.includes(ownId)) return;
+        
+        const partnerId = participants.find(id => id !== ownId) ?? ownId;
+        const partner = this.users.find(user => String(user.id || user._id) === partnerId);
+        if (!partner) {
+            showError('chat-error', 'Die Unterhaltung des Links wurde nicht gefunden');
+            return;
+        }
+        
+        await this.selectUser(partner);
+        if (!await this.jumpToMessage(`id:${messageId}`)) {
+            showError('chat-error', 'Die Nachricht wurde nicht gefunden');
+        }
+    }
+    
+    /**
+     * Scroll to a message of the open conversation, loading older pages if needed
+     * @param {string} key - Message key
+     * @returns {Promise<boolean>} True if the message was found
+     */
+    async jumpToMessage(key) {
+        const indexOf = () => this.messages.findIndex(message => getMessageKey(message) === key);
+        
+        let index = indexOf();
+        while (index === -1 || index < this.getRenderedStartIndex()) {
+            if (!await this.loadOlderMessages()) break;
+            index = indexOf();
+        }
+        if (index === -1 || index < this.getRenderedStartIndex()) return false;
+        
+        const element = this.messageList?.scrollToKey(key);
+        if (element) {
+            element.classList.add('message-target');
+            setTimeout(() => element.classList.remove('message-target'), 2000);
+        }
+        return true;
+    }
+    
+    /**
+     * Delete one of our messages for everyone (DELETE /messages/:id)
+     * @param {object} message - Message data
+     */
+    async deleteMessage(message) {
+        if (!window.confirm('Nachricht für alle löschen? Das kann nicht rückgängig gemacht werden.')) {
+            return;
+        }
+        
+        try {
+            await API.deleteMessage(message.id ?? message._id);
+            this.handleMessageDeleted(message);
+        } catch (error) {
+            console.error('Error deleting message:', error);
+            showError('chat-error', getUserFriendlyMessage(error) || 'Fehler beim Löschen der Nachricht');
+        }
+    }
+    
+    /**
+     * A message was deleted for everyone (own delete or deleted_message)
+     * @param {object} message - Deleted message (at least its id)
+     */
+    handleMessageDeleted(message) {
+        if (!message) return;
+        
+        const key = getMessageKey(message);
+        if (!messageSync.get(key) || tombstones.get(key) === 'deleted') return;
+        
+        tombstones.markDeleted(key);
+        if (this.editingKey === key) {
+            this.editingKey = null;
+        }
+        if (this.replyTo && getMessageKey(this.replyTo) === key) {
+            this.cancelReply();
+        }
+        
+        this.refreshAfterTombstone();
+    }
+    
+    /**
+     * Hide a message for the current user only (local tombstone)
+     * @param {object} message - Message data
+     */
+    hideMessage(message) {
+        tombstones.hide(getMessageKey(message));
+        this.refreshAfterTombstone();
+    }
+    
+    /**
+     * Show a hidden message again
+     * @param {object} message - Message data
+     */
+    unhideMessage(message) {
+        tombstones.unhide(getMessageKey(message));
+        this.refreshAfterTombstone();
+    }
+    
+    /**
+     * Re-render everything that shows message texts or counts
+     */
+    refreshAfterTombstone() {
+        this.renderMessages();
+        this.renderConversationList();
+        this.updateUnread();
+    }
+    
+    /**
+     * Check if a message was edited after it was sent
+     * @param {object} message - Message data
+     * @returns {boolean} True if edited
+     */
+    isEdited(message) {
+        if (!message.updatedAt) return false;
+        // Some backends set updatedAt on creation as well
+        return new Date(message.updatedAt) - new Date(message.createdAt) > 1000;
+    }
+    
+    /**
+     * Check if a message can be edited (own, on the server, within the edit window)
+     * @param {object} message - Message data
+     * @returns {boolean} True if editable
+     */
+    canEdit(message) {
+        return message.username === this.currentUser.username &&
+            !message.status &&
+            (message.id ?? message._id) != null &&
+            Date.now() - new Date(message.createdAt).getTime() < API_CONFIG.MESSAGE_EDIT_WINDOW;
+    }
+    
+    /**
+     * Show the inline editor for a message
+     * @param {object} message - Message data
+     */
+    startEditing(message) {
+        if (!this.canEdit(message)) return;
+        
+        this.editingKey = getMessageKey(message);
+        this.renderMessages();
+    }
+    
+    /**
+     * Close the inline editor without saving
+     */
+    cancelEditing() {
+        if (this.editingKey === null) return;
+        
+        this.editingKey = null;
+        this.renderMessages();
+    }
+    
+    /**
+     * Wire up the inline edit form of a message
+     * @param {HTMLFormElement} form - Edit form
+     * @param {object} message - Message being edited
+     */
+    setupEditForm(form, message) {
+        // Only the answer of a reply is edited; the parent reference stays
+        const input = form.querySelector('.message-edit-input');
+        input.value = parseReply(message.message)?.body ?? message.message;
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEdit(message, input.value, form);
+        });
+        form.querySelector('.message-edit-cancel').addEventListener('click', () => this.cancelEditing());
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                form.requestSubmit();
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelEditing();
+            }
+        });
+        
+        // Element is attached by the virtual list after this returns
+        requestAnimationFrame(() => {
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+        });
+    }
+    
+    /**
+     * Save an inline edit (PUT /messages/:id)
+     * @param {object} message - Message being edited
+     * @param {string} value - New text
+     * @param {HTMLFormElement} form - Edit form (disabled while saving)
+     */
+    async saveEdit(message, value, form) {
+        const body = value.trim();
+        const text = body ? `${parseReply(message.message)?.header ?? ''}${body}` : '';
+        if (!text || text === message.message) {
+            this.cancelEditing();
+            return;
+        }
+        if (!this.canEdit(message)) {
+            showError('chat-error', 'Die Nachricht kann nicht mehr bearbeitet werden');
+            this.cancelEditing();
+            return;
+        }
+        
+        form.querySelectorAll('textarea, button').forEach(element => { element.disabled = true; });
+        
+        try {
+            const updated = await API.updateMessage(message.id ?? message._id, { message: text });
+            this.editingKey = null;
+            this.handleMessageUpdated({
+                ...message,
+                ...(updated && typeof updated === 'object' ? updated : {}),
+                message: text,
             });
-            
-            // Sort by timestamp
-            this.messages.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
-            
-            // Render messages
-            this.renderMessages();
-            
         } catch (error) {
-            console.error('Error loading messages:', error);
+            console.error('Error editing message:', error);
+            showError('chat-error', getUserFriendlyMessage(error) || 'Fehler beim Bearbeiten der Nachricht');
+            form.querySelectorAll('textarea, button').forEach(element => { element.disabled = false; });
         }
     }
     
     /**
-     * Render all messages
+     * Apply an edited message (own edit or changed_message from the server)
+     * @param {object} updated - Message with the new text
      */
-    renderMessages() {
-        const messagesList = document.getElementById('messages-list');
-        if (!messagesList) return;
+    handleMessageUpdated(updated) {
+        if (!updated) return;
         
-        const wasAtBottom = isScrolledToBottom(messagesList.parentElement);
+        const key = getMessageKey(updated);
+        const existing = messageSync.get(key);
         
-        messagesList.innerHTML = '';
+        // Edits of messages we never loaded are not shown anywhere
+        if (!existing) return;
         
-        let lastDate = null;
+        if (existing.message !== updated.message) {
+            const editedAt = updated.updatedAt || new Date().toISOString();
+            editHistory.record(updated.id ?? updated._id, existing.message, editedAt);
+            updated = { ...updated, updatedAt: editedAt };
+        }
         
-        this.messages.forEach(message => {
-            const messageDate = new Date(message.createdAt).toDateString();
-            
-            // Add date divider if date changed
-            if (messageDate !== lastDate) {
-                const divider = document.createElement('div');
-                divider.className = 'date-divider';
-                divider.innerHTML = `<span>${formatDate(message.createdAt)}</span>`;
-                messagesList.appendChild(divider);
-                lastDate = messageDate;
-            }
-            
-            const messageElement = this.createMessageElement(message);
-            messagesList.appendChild(messageElement);
-        });
+        messageSync.merge([updated]);
+        const merged = messageSync.get(key);
         
-        // Scroll to bottom
-        if (wasAtBottom) {
-            scrollToBottom(messagesList.parentElement);
+        if (this.isInConversation(merged)) {
+            this.upsertMessage(merged);
+            this.renderMessages();
         }
+        this.renderConversationList();
     }
     
     /**
-     * Create message element
+     * Setup the edit history modal
+     */
+    setupHistoryModal() {
+        const modal = document.getElementById('history-modal');
+        const overlay = document.getElementById('history-modal-overlay');
+        const close = document.getElementById('history-modal-close');
+        
+        if (close) {
+            close.addEventListener('click', () => this.closeHistoryModal());
+        }
+        if (overlay) {
+            overlay.addEventListener('click', () => this.closeHistoryModal());
+        }
+        if (modal) {
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeHistoryModal();
+            });
+        }
+    }
+    
+    /**
+     * Show the previous versions of a message
      * @param {object} message - Message data
-     * @returns {HTMLElement} Message element
      */
-    createMessageElement(message) {
-        const div = document.createElement('div');
-        div.className = 'message';
+    openHistoryModal(message) {
+        const modal = document.getElementById('history-modal');
+        const list = document.getElementById('history-list');
+        if (!modal || !list) return;
         
-        // Backend format: { username, message } not { sender, text }
-        const senderUsername = message.username;
-        const currentUsername = this.currentUser.username;
-        const isOwn = senderUsername === currentUsername;
+        const current = messageSync.get(getMessageKey(message)) || message;
+        const versions = editHistory.get(current.id ?? current._id);
         
-        if (isOwn) {
-            div.classList.add('own');
+        list.innerHTML = '';
+        
+        const addVersion = (text, label) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.innerHTML = `
+                <span class="history-label"></span>
+                <div class="history-text"></div>
+            `;
+            item.querySelector('.history-label').textContent = label;
+            item.querySelector('.history-text').innerHTML = parseMarkdown(parseReply(text)?.body ?? text);
+            list.appendChild(item);
+        };
+        
+        const editedAt = current.updatedAt || current.createdAt;
+        addVersion(current.message, `Aktuell (bearbeitet: ${formatDate(editedAt)})`);
+        
+        // Newest previous version first; each one was valid until the next edit
+        [...versions].reverse().forEach(version => {
+            addVersion(version.message, `Ersetzt: ${formatDate(version.replacedAt)}`);
+        });
+        
+        if (versions.length === 0) {
+            const hint = document.createElement('li');
+            hint.className = 'history-empty';
+            hint.textContent = 'Frühere Versionen sind auf diesem Gerät nicht bekannt.';
+            list.appendChild(hint);
         }
         
-        const sender = isOwn ? this.currentUser : this.currentRecipient;
-        const initial = getInitials(sender.username);
-        const gradient = getAvatarGradient(sender.username);
-        const time = formatTime(message.createdAt);
-        const text = parseMarkdown(message.message);  // Backend uses 'message' not 'text'
+        modal.classList.add('active');
+        document.getElementById('history-modal-close')?.focus();
+    }
+    
+    /**
+     * Close the edit history modal
+     */
+    closeHistoryModal() {
+        const modal = document.getElementById('history-modal');
+        if (modal) modal.classList.remove('active');
+    }
+    
+    /**
+     * Setup message details modal
+     */
+    setupDetailsModal() {
+        const modal = document.getElementById('details-modal');
+        const overlay = document.getElementById('details-modal-overlay');
+        const close = document.getElementById('details-modal-close');
         
-        div.innerHTML = `
-            <div class="user-avatar avatar-sm" style="background: ${gradient};">
-                <span>${initial}</span>
-            </div>
-            <div class="message-content">
-                <div class="message-header">
-                    <span class="message-sender">${sender.username}</span>
-                    <span class="message-time">${time}</span>
-                </div>
-                <div class="message-bubble">
-                    ${text}
-                </div>
-            </div>
-        `;
+        if (close) {
+            close.addEventListener('click', () => this.closeDetailsModal());
+        }
+        if (overlay) {
+            overlay.addEventListener('click', () => this.closeDetailsModal());
+        }
+        if (modal) {
+            modal.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') this.closeDetailsModal();
+            });
+        }
+    }
+    
+    /**
+     * Show sender, full timestamps and id of a message
+     * @param {object} message - Message data
+     */
+    openDetailsModal(message) {
+        const modal = document.getElementById('details-modal');
+        const list = document.getElementById('details-list');
+        if (!modal || !list) return;
         
-        return div;
+        const current = messageSync.get(getMessageKey(message)) || message;
+        const fullDate = (date) => new Date(date).toLocaleString('de-CH', { dateStyle: 'full', timeStyle: 'medium' });
+        
+        const details = [
+            ['Von', current.username],
+            ['Gesendet', fullDate(current.createdAt)],
+        ];
+        if (this.isEdited(current)) {
+            details.push(['Bearbeitet', fullDate(current.updatedAt)]);
+        }
+        details.push(['ID', String(current.id ?? current._id)]);
+        
+        list.innerHTML = '';
+        details.forEach(([term, value]) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = term;
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+        
+        modal.classList.add('active');
+        document.getElementById('details-modal-close')?.focus();
+    }
+    
+    /**
+     * Close the message details modal
+     */
+    closeDetailsModal() {
+        const modal = document.getElementById('details-modal');
+        if (modal) modal.classList.remove('active');
     }
     
     /**
@@ -427,66 +2355,22 @@ class ChatManager {
         if (!this.currentRecipient) return;
         
         const messageInput = document.getElementById('message-input');
-        const text = messageInput.value.trim();
+        let text = messageInput.value.trim();
         
         if (!text) return;
         
-        try {
-            // Send via API
-            const receiverId = this.currentRecipient.id || this.currentRecipient._id;
-            await API.sendMessage(receiverId, text);
-            
-            // IMPORTANT: Cache sent message with receiver info (backend doesn't return this)
-            this.cacheSentMessage(receiverId, text);
-            
-            // Try to send via WebSocket as well
-            wsService.sendMessage(receiverId, text);
-            
-            // Clear input
-            messageInput.value = '';
-            
-            // Reload messages
-            await this.loadMessages();
-            
-        } catch (error) {
-            console.error('Error sending message:', error);
-            showError('chat-error', 'Fehler beim Senden der Nachricht');
-        }
-    }
-    
-    /**
-     * Cache sent message locally (to know which messages were sent to which user)
-     * @param {string} receiverId - Receiver user ID
-     * @param {string} text - Message text
-     */
-    cacheSentMessage(receiverId, text) {
-        try {
-            // CRITICAL: Cache must be per-user to prevent privacy leak!
-            const cacheKey = `sent_messages_cache_${this.currentUser.username}`;
-            const cache = JSON.parse(localStorage.getItem(cacheKey) || '{}');
-            
-            // Use message text as key (simple and effective)
-            const messageKey = `msg_${text.trim()}`;
-            
-            cache[messageKey] = {
-                receiverId: receiverId,
-                recipientUsername: this.currentRecipient.username,
-                timestamp: Date.now()
-            };
-            
-            // Clean old entries (older than 1 hour)
-            const oneHourAgo = Date.now() - 3600000;
-            Object.keys(cache).forEach(key => {
-                if (cache[key].timestamp < oneHourAgo) {
-                    delete cache[key];
-                }
-            });
-            
-            localStorage.setItem(cacheKey, JSON.stringify(cache));
-            console.log('Cached message:', messageKey, '→', this.currentRecipient.username);
-        } catch (error) {
-            console.error('Error caching message:', error);
+        // Reply: reference to the parent in front of the text (see replies.js)
+        if (this.replyTo) {
+            text = encodeReply(messageSync.get(getMessageKey(this.replyTo)) || this.replyTo, text);
+            this.cancelReply();
         }
+        
+        // Shown right away with a temporary id (see handleOutboxChange());
+        // the outbox sends it and retries while offline
+        messageInput.value = '';
+        this.stopTyping();
+        outbox.enqueue(this.currentRecipient, text);
+        this.messageList?.scrollToBottom();
     }
     
     /**
@@ -495,23 +2379,170 @@ class ChatManager {
     connectWebSocket() {
         wsService.connect();
         
+        // Connection is back - send what is waiting in the outbox
+        wsService.on('connected', () => {
+            outbox.flush();
+        });
+        
+        // Connection indicator / banner
+        wsService.on('connection_state', () => this.updateConnectionStatus());
+        wsService.on('heartbeat', () => {
+            this.lastRealtimeAt = Date.now();
+            this.updateConnectionStatus();
+        });
+        
         // Handle incoming messages
         wsService.on('message', (message) => {
         console.log('📩 WS message received:', message);
+         this.lastRealtimeAt = Date.now();
          this.handleIncomingMessage(message);
         });
         
+        // A message was edited / deleted (by us in another tab or by the partner)
+        wsService.on('message_updated', (message) => this.handleMessageUpdated(message));
+        wsService.on('message_deleted', (message) => this.handleMessageDeleted(message));
+        
+        // Someone started/stopped typing
+        wsService.on('typing', (event) => this.handleTypingEvent(event));
+        
+        // Presence reported by the server (online / away / offline)
+        wsService.on('presence', ({ userId, username, status }) => {
+            const user = this.findUser(userId, username);
+            if (user) {
+                presence.setStatus(user.id || user._id, status);
+            }
+        });
+        
         // Handle user updates
-        wsService.on('user_joined', () => {
-            this.loadUsers();
+        wsService.on('user_joined', (user) => {
+            const known = this.findUser(user?.id ?? user?._id, user?.username);
+            if (known) {
+                presence.seen(known.id || known._id);
+            } else {
+                this.loadUsers().then(() => {
+                    const added = this.findUser(user?.id ?? user?._id, user?.username);
+                    if (added) presence.seen(added.id || added._id);
+                });
+            }
         });
         
-        wsService.on('user_left', () => {
+        wsService.on('user_updated', (user) => this.handleUserUpdated(user));
+        
+        wsService.on('user_left', (user) => {
+            if (user?.id ?? user?._id) {
+                presence.remove(user.id ?? user._id);
+            }
             this.loadUsers();
         });
         
     }
     
+    /**
+     * Find a known user by id or username
+     * @param {string} userId - User id (optional)
+     * @param {string} username - Username (optional)
+     * @returns {object|undefined} User
+     */
+    findUser(userId, username) {
+        return this.users.find(u =>
+            (userId != null && String(u.id || u._id) === String(userId)) ||
+            (username && u.username === username)
+        );
+    }
+    
+    /**
+     * A user changed their profile (changed_user)
+     * @param {object} updated - User data from the event
+     */
+    handleUserUpdated(updated) {
+        const userId = updated?.id ?? updated?._id;
+        const user = this.findUser(userId, updated?.username);
+        if (!user) {
+            this.loadUsers();
+            return;
+        }
+        
+        Object.assign(user, updated);
+        presence.seen(user.id || user._id);
+        this.renderSidebar();
+        
+        if (this.currentRecipient && String(this.currentRecipient.id || this.currentRecipient._id) === String(userId)) {
+            this.updateChatHeader(user);
+        }
+    }
+    
+    /**
+     * How messages currently arrive
+     * @returns {string} realtime | polling | connecting | reconnecting | offline
+     */
+    getConnectionMode() {
+        if (navigator.onLine === false || (this.restOffline && !wsService.isConnected())) {
+            return 'offline';
+        }
+        
+        const state = wsService.getState();
+        if (state === 'open' || state === 'degraded') {
+            // Connected, but not verified by the heartbeat -> polling fallback is active
+            return wsService.isStale() ? 'polling' : 'realtime';
+        }
+        if (state === 'connecting' && wsService.reconnectAttempts === 0) {
+            return 'connecting';
+        }
+        return state === 'offline' ? 'offline' : 'reconnecting';
+    }
+    
+    /**
+     * Update connection indicator (sidebar), banner and "Jetzt verbinden" button
+     */
+    updateConnectionStatus() {
+        const mode = this.getConnectionMode();
+        
+        const labels = {
+            realtime: 'Echtzeit verbunden',
+            polling: 'Ohne Echtzeit (Abruf alle 3 Sek.)',
+            connecting: 'Verbinde...',
+            reconnecting: 'Verbindung wird wiederhergestellt...',
+            offline: 'Offline',
+        };
+        
+        const status = document.getElementById('connection-status');
+        const label = document.getElementById('connection-label');
+        const sync = document.getElementById('connection-sync');
+        
+        if (status) status.dataset.mode = mode;
+        if (label) label.textContent = labels[mode];
+        if (sync) {
+            const lastSyncAt = Math.max(messageSync.lastSyncAt || 0, this.lastRealtimeAt || 0);
+            sync.textContent = lastSyncAt
+                ? `Zuletzt synchronisiert: ${formatDate(lastSyncAt)}`
+                : 'Noch nicht synchronisiert';
+        }
+        
+        // Banner while offline / reconnecting, until dismissed for that mode
+        if (mode !== 'offline' && mode !== 'reconnecting') {
+            this.dismissedBannerMode = null;
+        }
+        const banner = document.getElementById('connection-banner');
+        const bannerText = document.getElementById('connection-banner-text');
+        if (banner) {
+            const showBanner = (mode === 'offline' || mode === 'reconnecting') &&
+                this.dismissedBannerMode !== mode;
+            banner.hidden = !showBanner;
+            banner.classList.toggle('offline', mode === 'offline');
+            if (bannerText && showBanner) {
+                bannerText.textContent = mode === 'offline'
+                    ? 'Keine Verbindung. Neue Nachrichten werden gesendet, sobald du wieder online bist.'
+                    : 'Echtzeit-Verbindung unterbrochen. Nachrichten werden alle 3 Sekunden abgerufen, bis sie wiederhergestellt ist.';
+            }
+        }
+        
+        // "Jetzt verbinden" only while the socket is down or degraded
+        const reconnectBtn = document.getElementById('reconnect-btn');
+        if (reconnectBtn) {
+            reconnectBtn.hidden = mode === 'connecting' || wsService.getState() === 'open';
+        }
+    }
+    
     /**
      * Handle incoming WebSocket message
      * @param {object} message - Message data
@@ -519,13 +2550,40 @@ class ChatManager {
     handleIncomingMessage(message) {
         // Backend format: { username, message }
         const senderUsername = message.username;
-        const currentUsername = this.currentUser.username;
         const recipientUsername = this.currentRecipient?.username;
         
+        // Keep sync store up to date; ignore duplicates (WS echo of a polled message)
+        if (!messageSync.add(message)) {
+            return;
+        }
+        
+        // Echo of one of our sends: replaces its temporary entry
+        const entry = outbox.reconcile(message);
+        
+        // The message is there - whoever wrote it is no longer typing
+        const sender = this.users.find(u => u.username === senderUsername);
+        if (sender) {
+            typingTracker.set(sender.id || sender._id, sender.username, false);
+            presence.seen(sender.id || sender._id, message.createdAt || Date.now());
+        }
+        
+        if (isReaction(message)) {
+            this.refreshReactions();
+            return;
+        }
+        
+        // Other conversations: unread badge / title, order and preview
+        this.updateUnread();
+        this.renderConversationList();
+        
         // Only add if it's part of current conversation
-        if (senderUsername === recipientUsername || senderUsername === currentUsername) {
-            this.messages.push(message);
+        if (this.isInConversation(message)) {
+            const added = this.upsertMessage(message, entry ? getMessageKey(entry) : null);
+            if (added) {
+                this.freshMessageKeys.add(getMessageKey(message));
+            }
             this.renderMessages();
+            this.markConversationRead();
             
             // Play notification sound if message is from recipient
             if (senderUsername === recipientUsername) {
@@ -538,18 +2596,142 @@ class ChatManager {
         }
     }
     
+    /**
+     * Handle a typing event from the WebSocket
+     * @param {object} event - { userId, username, receiverId, isTyping }
+     */
+    handleTypingEvent({ userId, username, receiverId, isTyping }) {
+        const ownId = this.currentUser.id || this.currentUser._id;
+        
+        // Only typing aimed at us (servers without receiverId broadcast)
+        if (receiverId != null && String(receiverId) !== String(ownId)) return;
+        
+        const user = this.findUser(userId, username);
+        if (!user || String(user.id || user._id) === String(ownId)) return;
+        
+        typingTracker.set(user.id || user._id, user.username, isTyping);
+        if (isTyping) {
+            presence.seen(user.id || user._id);
+        }
+    }
+    
+    /**
+     * Reflect a typing change in the user list and the open conversation
+     * @param {string} userId - User who started/stopped typing
+     * @param {boolean} isTyping - Typing state
+     */
+    handleTypingChange(userId, isTyping) {
+        document.querySelectorAll(`.user-item[data-user-id="${userId}"]`).forEach(item => {
+            item.classList.toggle('typing', isTyping);
+        });
+        
+        if (this.currentRecipient && String(this.currentRecipient.id || this.currentRecipient._id) === userId) {
+            this.updateTypingIndicator();
+        }
+    }
+    
+    /**
+     * Show "<name> schreibt..." below the messages if the recipient is typing
+     */
+    updateTypingIndicator() {
+        const indicator = document.getElementById('typing-indicator');
+        const typingText = document.getElementById('typing-text');
+        if (!indicator) return;
+        
+        const recipient = this.currentRecipient;
+        const typing = !!recipient && typingTracker.isTyping(recipient.id || recipient._id);
+        
+        indicator.hidden = !typing;
+        if (typing && typingText) {
+            typingText.textContent = `${recipient.username} schreibt...`;
+        }
+    }
+    
+    /**
+     * Tell the recipient we are typing (throttled) and stop after a pause
+     * @param {string} value - Current input value
+     */
+    handleTypingInput(value) {
+        if (!this.currentRecipient) return;
+        
+        if (!value.trim()) {
+            this.stopTyping();
+            return;
+        }
+        
+        const recipientId = this.currentRecipient.id || this.currentRecipient._id;
+        if (this.typingRecipientId !== null && this.typingRecipientId !== recipientId) {
+            this.stopTyping();
+        }
+        
+        this.typingRecipientId = recipientId;
+        this.sendTypingStart(recipientId);
+        
+        clearTimeout(this.typingStopTimer);
+        this.typingStopTimer = setTimeout(() => this.stopTyping(), API_CONFIG.TYPING.STOP_AFTER);
+    }
+    
+    /**
+     * Send stop_typing once (if we announced typing)
+     */
+    stopTyping() {
+        clearTimeout(this.typingStopTimer);
+        this.typingStopTimer = null;
+        
+        if (this.typingRecipientId === null) return;
+        
+        wsService.sendTyping(this.typingRecipientId, false);
+        this.sendTypingStart.cancel();
+        this.typingRecipientId = null;
+    }
+    
     /**
      * Start polling for new messages (fallback)
      */
     startMessagePolling() {
     // Poll every 3 seconds
     this.messagePollingInterval = setInterval(async () => {
-        if (this.currentRecipient && (!wsService.isConnected() || wsService.isStale())) {
-            await this.loadMessages();
+        // Previous tick still loading (slow server) - skip instead of piling up requests
+        if (!this.pollRunning && (!wsService.isConnected() || wsService.isStale())) {
+            this.pollRunning = true;
+            try {
+                // Without an open conversation only unread counts / presence are updated
+                if (this.currentRecipient) {
+                    await this.loadMessages();
+                } else {
+                    await this.syncMessages().catch(error => console.error('Error loading messages:', error));
+                }
+                if (Date.now() - this.lastWindowRefresh >= API_CONFIG.FALLBACK_REFRESH_INTERVAL) {
+                    await this.refreshMessageWindow();
+                }
+            } finally {
+                this.pollRunning = false;
+            }
         }
+        // Keeps "Zuletzt synchronisiert: vor X Min." and presence current
+        this.updateConnectionStatus();
+        presence.refresh();
+        this.updatePresenceStatuses();
+        this.updateConversationTimes();
     }, 3000);
     }
     
+    /**
+     * Polling fallback: apply edits and deletions of the newest messages
+     * (see messageSync.refreshWindow())
+     */
+    async refreshMessageWindow() {
+        this.lastWindowRefresh = Date.now();
+        
+        try {
+            const { updated, removed } = await messageSync.refreshWindow({ limit: API_CONFIG.MESSAGES_PAGE_SIZE });
+            updated.forEach(message => this.handleMessageUpdated(message));
+            removed.forEach(message => this.handleMessageDeleted(message));
+        } catch (error) {
+            console.error('Error refreshing messages:', error);
+        }
+    }
+    
     /**
      * Stop message polling
      */
@@ -659,7 +2841,7 @@ class ChatManager {
             
         } catch (error) {
             console.error('Error updating profile:', error);
-            showError('profile-error', error.message || 'Fehler beim Aktualisieren des Profils');
+            showError('profile-error', getUserFriendlyMessage(error) || 'Fehler beim Aktualisieren des Profils');
         }
     }
     
@@ -668,6 +2850,41 @@ class ChatManager {
      */
     destroy() {
         this.stopMessagePolling();
+        this.stopTyping();
+        if (this.messagesRequest) {
+            this.messagesRequest.abort();
+        }
+        if (this.messageList) {
+            this.messageList.destroy();
+            this.messageList = null;
+        }
+        if (this.unsubscribeOutbox) {
+            this.unsubscribeOutbox();
+            this.unsubscribeOutbox = null;
+        }
+        if (this.unsubscribeTyping) {
+            this.unsubscribeTyping();
+            this.unsubscribeTyping = null;
+        }
+        typingTracker.reset();
+        if (this.unsubscribePresence) {
+            this.unsubscribePresence();
+            this.unsubscribePresence = null;
+        }
+        presence.reset();
+        unreadStore.close();
+        editHistory.close();
+        tombstones.close();
+        reactions.reset();
+        this.replyTo = null;
+        if (this.messageMenu) {
+            this.messageMenu.destroy();
+            this.messageMenu = null;
+        }
+        if (this.baseTitle !== null) {
+            document.title = this.baseTitle;
+        }
+        outbox.close();
         wsService.disconnect();
     }
 }
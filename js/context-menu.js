@@ -0,0 +1,183 @@
+/**
+ * Context Menu
+ * A small popup menu (role="menu") that is shown at a point or next to a button.
+ * Keyboard: arrow keys / Home / End move, Enter or Space activates,
+ * Escape and Tab close it. Focus returns to where it came from.
+ */
+
+export class ContextMenu {
+    /**
+     * @param {HTMLElement} element - Menu element (hidden, role="menu")
+     */
+    constructor(element) {
+        this.element = element;
+        this.returnFocus = null;
+
+        this.onKeydown = (e) => this.handleKeydown(e);
+        this.onPointerDown = (e) => {
+            if (!this.element.contains(e.target)) this.close({ restoreFocus: false });
+        };
+        this.onDismiss = () => this.close({ restoreFocus: false });
+
+        this.element.addEventListener('keydown', this.onKeydown);
+    }
+
+    /**
+     * Show the menu
+     * @param {object} options
+     * @param {array} options.items - [{ label, action, danger }]
+     * @param {number} options.x - Left position (viewport px)
+     * @param {number} options.y - Top position (viewport px)
+     * @param {HTMLElement} options.returnFocus - Element focused again after closing
+     */
+    open({ items, x, y, returnFocus = null }) {
+        this.close({ restoreFocus: false });
+        if (items.length === 0) return;
+
+        this.returnFocus = returnFocus || document.activeElement;
+        this.element.innerHTML = '';
+
+        items.forEach(item => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = `context-menu-item${item.danger ? ' danger' : ''}`;
+            button.setAttribute('role', 'menuitem');
+            button.tabIndex = -1;
+            button.textContent = item.label;
+            button.addEventListener('click', () => {
+                this.close();
+                item.action();
+            });
+            this.element.appendChild(button);
+        });
+
+        // Measure while invisible, then keep it inside the viewport
+        this.element.style.visibility = 'hidden';
+        this.element.hidden = false;
+        const { width, height } = this.element.getBoundingClientRect();
+        this.element.style.left = `${Math.max(8, Math.min(x, window.innerWidth - width - 8))}px`;
+        this.element.style.top = `${Math.max(8, Math.min(y, window.innerHeight - height - 8))}px`;
+        this.element.style.visibility = '';
+
+        document.addEventListener('pointerdown', this.onPointerDown, true);
+        window.addEventListener('resize', this.onDismiss);
+        window.addEventListener('blur', this.onDismiss);
+
+        this.getItems()[0]?.focus();
+    }
+
+    /**
+     * Show the menu below (or above) an element, e.g. a "more" button
+     * @param {HTMLElement} anchor - Element the menu belongs to
+     * @param {array} items - [{ label, action, danger }]
+     */
+    openAt(anchor, items) {
+        const rect = anchor.getBoundingClientRect();
+        this.open({ items, x: rect.left, y: rect.bottom + 4, returnFocus: anchor });
+    }
+
+    /**
+     * Hide the menu
+     * @param {object} options - { restoreFocus } focus the element it was opened from
+     */
+    close({ restoreFocus = true } = {}) {
+        if (this.element.hidden) return;
+
+        this.element.hidden = true;
+        this.element.innerHTML = '';
+        document.removeEventListener('pointerdown', this.onPointerDown, true);
+        window.removeEventListener('resize', this.onDismiss);
+        window.removeEventListener('blur', this.onDismiss);
+
+        if (restoreFocus && this.returnFocus?.isConnected) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    /**
+     * Check if the menu is shown
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return !this.element.hidden;
+    }
+
+    getItems() {
+        return [...this.element.querySelectorAll('[role="menuitem"]')];
+    }
+
+    handleKeydown(e) {
+        const items = this.getItems();
+        const index = items.indexOf(document.activeElement);
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                items[(index + 1) % items.length]?.focus();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                items[(index - 1 + items.length) % items.length]?.focus();
+                break;
+            case 'Home':
+                e.preventDefault();
+                items[0]?.focus();
+                break;
+            case 'End':
+                e.preventDefault();
+                items.at(-1)?.focus();
+                break;
+            case 'Escape':
+                e.preventDefault();
+                this.close();
+                break;
+            case 'Tab':
+                e.preventDefault();
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    destroy() {
+        this.close({ restoreFocus: false });
+        this.element.removeEventListener('keydown', this.onKeydown);
+    }
+}
+
+/**
+ * Call a handler when an element is touched and held (touch devices have no right click)
+ * @param {HTMLElement} element - Element to watch
+ * @param {Function} handler - Called with (x, y) of the touch
+ * @param {number} delay - Hold time in milliseconds
+ */
+export function onLongPress(element, handler, delay = 500) {
+    let timer = null;
+    let start = null;
+
+    const cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    element.addEventListener('pointerdown', (e) => {
+        if (e.pointerType !== 'touch') return;
+
+        start = { x: e.clientX, y: e.clientY };
+        cancel();
+        timer = setTimeout(() => {
+            timer = null;
+            handler(start.x, start.y);
+        }, delay);
+    });
+    element.addEventListener('pointermove', (e) => {
+        // Scrolling, not holding
+        if (timer && Math.hypot(e.clientX - start.x, e.clientY - start.y) > 10) cancel();
+    });
+    element.addEventListener('pointerup', cancel);
+    element.addEventListener('pointercancel', cancel);
+}
+
+export default ContextMenu;
@@ -0,0 +1,98 @@
+/**
+ * Edit History
+ * Previous versions of edited messages. The backend only keeps the current
+ * text, so versions are recorded whenever this client sees an edit
+ * (own edits and changed_message events) and persisted per user in localStorage.
+ */
+
+const STORAGE_PREFIX = 'livechat_edits_';
+
+// Messages with a history that are kept (oldest are dropped first)
+const MAX_MESSAGES = 200;
+
+class EditHistory {
+    constructor() {
+        this.owner = null;
+
+        // messageId -> [{ message, replacedAt }] (oldest first), least recently edited first
+        this.versions = new Map();
+    }
+
+    /**
+     * Load the edit history of a user
+     * @param {object} user - Current user ({ id })
+     */
+    open(user) {
+        this.owner = String(user.id || user._id);
+        this.versions = this.load();
+    }
+
+    /**
+     * Forget the history in memory (e.g. on logout); persisted versions stay
+     */
+    close() {
+        this.owner = null;
+        this.versions = new Map();
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${this.owner}`;
+    }
+
+    load() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return new Map(Array.isArray(entries) ? entries : []);
+        } catch (error) {
+            console.error('Could not read edit history:', error);
+            return new Map();
+        }
+    }
+
+    save() {
+        if (!this.owner) return;
+
+        while (this.versions.size > MAX_MESSAGES) {
+            this.versions.delete(this.versions.keys().next().value);
+        }
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify([...this.versions]));
+        } catch (error) {
+            console.error('Could not save edit history:', error);
+        }
+    }
+
+    /**
+     * Record the text a message had before an edit
+     * @param {string} messageId - Server id of the message
+     * @param {string} message - Previous text
+     * @param {Date|string|number} replacedAt - Time of the edit
+     */
+    record(messageId, message, replacedAt = Date.now()) {
+        if (messageId === undefined || messageId === null) return;
+
+        const key = String(messageId);
+        const versions = this.versions.get(key) || [];
+        if (versions.at(-1)?.message === message) return;
+
+        // Re-insert so the most recently edited messages are kept longest
+        this.versions.delete(key);
+        this.versions.set(key, [...versions, { message, replacedAt: new Date(replacedAt).toISOString() }]);
+        this.save();
+    }
+
+    /**
+     * Previous versions of a message
+     * @param {string} messageId - Server id of the message
+     * @returns {array} [{ message, replacedAt }] (oldest first)
+     */
+    get(messageId) {
+        return this.versions.get(String(messageId)) || [];
+    }
+}
+
+// Create singleton instance
+const editHistory = new EditHistory();
+
+export default editHistory;
@@ -0,0 +1,229 @@
+/**
+ * API Errors
+ * Typed error classes for failed API requests + user-facing messages
+ */
+
+/**
+ * Base class for all API errors
+ * Carries the request context; `message` is technical (for logs),
+ * use getUserFriendlyMessage() for text shown in the UI.
+ */
+export class ApiError extends Error {
+    /**
+     * @param {string} message - Technical error message
+     * @param {object} details - Error details
+     * @param {number} details.status - HTTP status code (0 if no response)
+     * @param {string} details.code - Machine readable error code
+     * @param {string} details.endpoint - API endpoint
+     * @param {string} details.method - HTTP method
+     * @param {object|null} details.payload - Parsed server response body
+     */
+    constructor(message, { status = 0, code = 'API_ERROR', endpoint = '', method = 'GET', payload = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.endpoint = endpoint;
+        this.method = method;
+        this.payload = payload;
+    }
+}
+
+/** No response from the server (offline, DNS, CORS, ...) */
+export class NetworkError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, { code: 'NETWORK_ERROR', ...details });
+    }
+}
+
+/** Request did not finish within API_CONFIG.TIMEOUT */
+export class TimeoutError extends NetworkError {
+    constructor(message, details = {}) {
+        super(message, { code: 'TIMEOUT', ...details });
+    }
+}
+
+/** 401 / 403 */
+export class AuthError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, { code: details.status === 403 ? 'FORBIDDEN' : 'UNAUTHORIZED', ...details });
+    }
+}
+
+/** 400 / 422 */
+export class ValidationError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...details });
+    }
+}
+
+/** 404 */
+export class NotFoundError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, { code: 'NOT_FOUND', ...details });
+    }
+}
+
+/** 409 */
+export class ConflictError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, { code: 'CONFLICT', ...details });
+    }
+}
+
+/** 429 */
+export class RateLimitError extends ApiError {
+    /**
+     * @param {string} message - Technical error message
+     * @param {object} details - See ApiError, plus retryAfter (ms, or null)
+     */
+    constructor(message, { retryAfter = null, ...details } = {}) {
+        super(message, { code: 'RATE_LIMITED', ...details });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/** 5xx */
+export class ServerError extends ApiError {
+    /**
+     * @param {string} message - Technical error message
+     * @param {object} details - See ApiError, plus retryAfter (ms, or null; sent with 503)
+     */
+    constructor(message, { retryAfter = null, ...details } = {}) {
+        super(message, { code: 'SERVER_ERROR', ...details });
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Create the matching ApiError subclass for an HTTP error response
+ * @param {number} status - HTTP status code
+ * @param {object} details - endpoint, method, payload, retryAfter
+ * @returns {ApiError} Typed error
+ */
+export function createApiError(status, { endpoint, method, payload = null, retryAfter = null } = {}) {
+    const serverMessage = payload?.message || payload?.error || null;
+    const message = `${method} ${endpoint} failed with ${status}${serverMessage ? `: ${serverMessage}` : ''}`;
+    const details = {
+        status,
+        endpoint,
+        method,
+        payload,
+        ...(payload?.code && { code: payload.code }),
+    };
+
+    switch (status) {
+        case 400:
+        case 422:
+            return new ValidationError(message, details);
+        case 401:
+        case 403:
+            return new AuthError(message, details);
+        case 404:
+            return new NotFoundError(message, details);
+        case 409:
+            return new ConflictError(message, details);
+        case 429:
+            return new RateLimitError(message, { ...details, retryAfter });
+        default:
+            if (status >= 500) {
+                return new ServerError(message, { ...details, retryAfter });
+            }
+            return new ApiError(message, details);
+    }
+}
+
+/**
+ * Get user-friendly (German) error message for any error
+ * @param {Error} error - Error thrown by the API layer (or anything else)
+ * @returns {string} Message to show in the UI
+ */
+export function getUserFriendlyMessage(error) {
+    if (!(error instanceof ApiError)) {
+        return error?.message || 'Ein Fehler ist aufgetreten. Bitte versuche es erneut';
+    }
+
+    const { status, endpoint, method } = error;
+
+    if (error instanceof TimeoutError) {
+        return 'Zeitüberschreitung. Der Server antwortet nicht';
+    }
+
+    if (error instanceof NetworkError) {
+        return 'Keine Verbindung zum Server. Bitte überprüfe deine Internetverbindung';
+    }
+
+    // Login endpoint
+    if (endpoint.includes('/login')) {
+        if (status === 401) {
+            return 'Falscher Benutzername oder Passwort';
+        }
+        if (status === 404) {
+            return 'Benutzer nicht gefunden';
+        }
+    }
+
+    // Register endpoint
+    if (endpoint.includes('/register')) {
+        if (status === 409) {
+            return 'Benutzername bereits vergeben';
+        }
+        if (status === 400) {
+            return 'Ungültige Eingabe. Bitte überprüfe deine Daten';
+        }
+    }
+
+    // User update endpoint
+    if (endpoint.startsWith('/users') && method === 'PUT') {
+        if (status === 409) {
+            return 'Benutzername bereits vergeben';
+        }
+        if (status === 400) {
+            return 'Ungültige Daten. Bitte überprüfe deine Eingabe';
+        }
+    }
+
+    // General status codes
+    switch (status) {
+        case 400:
+            return 'Ungültige Anfrage. Bitte überprüfe deine Eingabe';
+        case 401:
+            return 'Nicht autorisiert. Bitte melde dich erneut an';
+        case 403:
+            return 'Zugriff verweigert';
+        case 404:
+            return 'Ressource nicht gefunden';
+        case 409:
+            return 'Konflikt: Die Ressource existiert bereits';
+        case 422:
+            return 'Ungültige Daten';
+        case 429:
+            return 'Zu viele Anfragen. Bitte warte einen Moment';
+        case 500:
+            return 'Serverfehler. Bitte versuche es später erneut';
+        case 502:
+            return 'Server nicht erreichbar. Bitte versuche es später erneut';
+        case 503:
+            return 'Service vorübergehend nicht verfügbar';
+        default:
+            // If server provided a message, use it
+            if (error.payload?.message) {
+                return error.payload.message;
+            }
+            return 'Ein Fehler ist aufgetreten. Bitte versuche es erneut';
+    }
+}
+
+export default {
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    AuthError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    RateLimitError,
+    ServerError,
+    createApiError,
+    getUserFriendlyMessage,
+};
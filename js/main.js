@@ -3,8 +3,11 @@
  * Initializes the application and handles routing
  */
 
-import { initAuth, isAuthenticated } from './auth.js';
+import API_CONFIG from '../config/api.config.js';
+import { onUnauthorized } from './api.js';
+import { initAuth, isAuthenticated, isSessionExpired, expireSession } from './auth.js';
 import chatManager from './chat.js';
+import wsService from './websocket.js';
 
 class App {
     constructor() {
@@ -16,10 +19,15 @@ class App {
      */
     init() {
         console.log('Initializing LiveChat application...');
+        console.log(`Config profile: ${API_CONFIG.PROFILE} (${API_CONFIG.BASE_URL})`);
         
         // Initialize auth
         initAuth();
         
+        // Session expired: 401 from a protected endpoint or WebSocket auth failure
+        onUnauthorized(() => this.handleSessionExpired());
+        wsService.on('auth_failed', () => this.handleSessionExpired());
+        
         // Setup routing
         this.setupRouting();
         
@@ -48,6 +56,12 @@ class App {
         
         console.log('Routing to:', hash);
         
+        // Token expired (JWT exp claim) - end session before showing any view
+        if (isSessionExpired()) {
+            this.handleSessionExpired();
+            return;
+        }
+        
         // Check authentication for protected routes
         if (hash === 'chat' && !isAuthenticated()) {
             window.location.hash = '#login';
@@ -64,6 +78,21 @@ class App {
         await this.switchView(hash);
     }
     
+    /**
+     * Handle an expired session: stop chat activity and return to login
+     */
+    handleSessionExpired() {
+        const recipient = chatManager.currentRecipient;
+        const returnTarget = recipient && chatManager.currentUser
+            ? { username: chatManager.currentUser.username, recipientId: recipient.id || recipient._id }
+            : null;
+        
+        // Stop polling and WebSocket before clearing the session
+        chatManager.destroy();
+        
+        expireSession(returnTarget);
+    }
+    
     /**
      * Switch to a different view
      * @param {string} viewName - Name of the view
@@ -0,0 +1,500 @@
+/**
+ * Outbox
+ * Queue for messages that are not confirmed by the server yet.
+ *
+ * Every message goes through the outbox: it is shown as "pending" right away,
+ * persisted in localStorage (survives reloads) and sent in order. Sends that fail
+ * because of the network are retried when the browser goes online again or the
+ * WebSocket reconnects; after MAX_ATTEMPTS (or a permanent error) the entry is
+ * "failed" and only sent again when the user taps it.
+ *
+ * A request that timed out may still have reached the server. Such entries are
+ * marked `uncertain` and checked against the server messages before they are
+ * sent again, so a late success never ends up as a duplicate.
+ *
+ * Every tab keeps its entries under its own key (`livechat_outbox_<user>_<tab>`)
+ * with a heartbeat, so open tabs never overwrite each other. Entries of tabs
+ * that were closed (or stopped beating) are taken over by the next tab that
+ * opens the outbox; they are marked `uncertain` in case that tab sent them.
+ */
+
+import API_CONFIG from '../config/api.config.js';
+import * as API from './api.js';
+import { ApiError, NetworkError, RateLimitError, ServerError } from './errors.js';
+import messageSync from './sync.js';
+import attributionStore from './attribution-store.js';
+
+const STORAGE_PREFIX = 'livechat_outbox_';
+
+// Tab heartbeat: a tab key older than TAB_STALE_AFTER belongs to a closed tab
+const TAB_HEARTBEAT = 10 * 1000;
+const TAB_STALE_AFTER = 30 * 1000;
+
+// Automatic attempts before an entry is marked as failed
+const MAX_ATTEMPTS = 3;
+
+// Retry delay after a temporary error (doubled per attempt)
+const RETRY_BASE_DELAY = 2000;
+const RETRY_MAX_DELAY = 30000;
+
+// Max distance between local send time and server createdAt when looking for
+// a copy of an uncertain send on the server (clocks may differ)
+const MATCH_WINDOW = 5 * 60 * 1000;
+
+/**
+ * Create a temporary id for a message that has no server id yet
+ * @returns {string} Client id
+ */
+function createClientId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Check if an error is temporary (worth retrying automatically)
+ * @param {Error} error - Error from API.sendMessage()
+ * @returns {boolean} True for network errors, timeouts, 429 and 5xx
+ */
+function isTemporaryError(error) {
+    return error instanceof NetworkError ||
+        error instanceof RateLimitError ||
+        error instanceof ServerError ||
+        !(error instanceof ApiError);
+}
+
+/**
+ * Check if a POST response is the stored message (some backends answer with
+ * a plain status instead)
+ * @param {*} created - Response of API.sendMessage()
+ * @returns {boolean} True if it has id, text and createdAt
+ */
+function isMessageRecord(created) {
+    return !!created && typeof created === 'object' &&
+        (created.id ?? created._id) !== undefined && (created.id ?? created._id) !== null &&
+        typeof created.message === 'string' &&
+        !!created.createdAt;
+}
+
+// Id of this tab (page load)
+const TAB_ID = createClientId();
+
+class Outbox {
+    constructor() {
+        this.owner = null;
+        this.username = null;
+
+        // Entries double as messages for rendering and are replaced (never mutated)
+        // on every change: { clientId, username, message, createdAt, recipientId,
+        // recipientUsername, status: 'pending'|'sending'|'failed', attempts, uncertain }
+        this.entries = [];
+
+        this.changeHandlers = new Set();
+        this.flushing = null;
+        this.flushAgain = false;
+        this.retryTimer = null;
+        this.heartbeatTimer = null;
+        this.sync = null;
+
+        this.onOnline = () => this.flush();
+        this.onPageHide = () => this.save({ closed: true });
+    }
+
+    /**
+     * Load the outbox of a user and start sending what is left from last time
+     * @param {object} user - Current user ({ id, username })
+     * @param {object} [options]
+     * @param {function} [options.sync] - Fetches new messages before an uncertain
+     *   entry is sent again; the caller must handle what it brings (default:
+     *   messageSync.sync(), which nobody else is told about)
+     */
+    open(user, { sync } = {}) {
+        this.close();
+
+        this.owner = String(user.id || user._id);
+        this.username = user.username;
+        this.sync = sync ?? (() => messageSync.sync({ limit: API_CONFIG.MESSAGES_PAGE_SIZE }));
+        this.entries = [];
+        this.adoptClosedTabs();
+
+        window.addEventListener('online', this.onOnline);
+        window.addEventListener('pagehide', this.onPageHide);
+
+        // Keep our key alive and pick up entries of tabs closed meanwhile
+        this.heartbeatTimer = setInterval(() => {
+            if (this.adoptClosedTabs()) this.flush();
+        }, TAB_HEARTBEAT);
+
+        this.flush();
+    }
+
+    /**
+     * Stop retrying (e.g. on logout); persisted entries stay for the next session
+     * (or another open tab)
+     */
+    close() {
+        this.save({ closed: true });
+
+        window.removeEventListener('online', this.onOnline);
+        window.removeEventListener('pagehide', this.onPageHide);
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.entries = [];
+        this.owner = null;
+        this.sync = null;
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${this.owner}_${TAB_ID}`;
+    }
+
+    /**
+     * Take over the entries of closed tabs (and of the old shared key)
+     * @returns {boolean} True if entries were taken over
+     */
+    adoptClosedTabs() {
+        const ownerKey = `${STORAGE_PREFIX}${this.owner}`;
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key !== this.storageKey && (key === ownerKey || key?.startsWith(`${ownerKey}_`))) {
+                keys.push(key);
+            }
+        }
+
+        const adopted = [];
+        keys.forEach(key => {
+            const data = this.load(key);
+            if (!data) return;
+
+            // Old format: plain array under the shared key
+            const tab = Array.isArray(data) ? { closed: true, entries: data } : data;
+            if (!tab.closed && Date.now() - (tab.heartbeat || 0) < TAB_STALE_AFTER) return;
+
+            localStorage.removeItem(key);
+            (Array.isArray(tab.entries) ? tab.entries : []).forEach(entry => {
+                // The closing tab may have sent it - check the server first
+                adopted.push({ ...entry, status: entry.status === 'failed' ? 'failed' : 'pending', uncertain: true });
+            });
+        });
+
+        if (adopted.length > 0) {
+            this.entries = [...this.entries, ...adopted]
+                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            adopted.forEach(entry => this.notify('added', entry));
+        }
+        this.save();
+
+        return adopted.length > 0;
+    }
+
+    load(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+            console.error('Could not read outbox:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Persist the entries of this tab
+     * @param {object} options - { closed } the tab is going away, others may take over
+     */
+    save({ closed = false } = {}) {
+        if (!this.owner) return;
+
+        if (this.entries.length === 0) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, JSON.stringify({
+                heartbeat: Date.now(),
+                closed,
+                entries: this.entries,
+            }));
+        }
+    }
+
+    /**
+     * Register a handler that is called whenever the outbox changes
+     * @param {Function} handler - Called with { type, entry, message }:
+     *   'added' / 'updated' (entry is the new version),
+     *   'sent' (message is the server record that replaces the entry),
+     *   'removed' (entry is gone without a server record of its own)
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(handler) {
+        this.changeHandlers.add(handler);
+        return () => this.changeHandlers.delete(handler);
+    }
+
+    notify(type, entry, message = null) {
+        this.save();
+        this.changeHandlers.forEach(handler => {
+            try {
+                handler({ type, entry, message });
+            } catch (e) {
+                console.error('Outbox handler error:', e);
+            }
+        });
+    }
+
+    /**
+     * Get the unsent messages of a conversation
+     * @param {string} recipientId - Recipient user id (default: all conversations)
+     * @returns {array} Entries (oldest first)
+     */
+    getEntries(recipientId = null) {
+        if (recipientId === null) return [...this.entries];
+        return this.entries.filter(entry => entry.recipientId === String(recipientId));
+    }
+
+    get(clientId) {
+        return this.entries.find(entry => entry.clientId === clientId) || null;
+    }
+
+    update(clientId, changes) {
+        const entry = this.get(clientId);
+        if (!entry) return;
+
+        const updated = { ...entry, ...changes };
+        this.entries = this.entries.map(e => (e === entry ? updated : e));
+        this.notify('updated', updated);
+    }
+
+    /**
+     * Drop an entry
+     * @param {string} clientId - Client id of the entry
+     * @param {object|null} message - Server record of the entry (if it is known)
+     */
+    remove(clientId, message = null) {
+        const entry = this.get(clientId);
+        if (!entry) return;
+
+        this.entries = this.entries.filter(e => e !== entry);
+        this.notify(message ? 'sent' : 'removed', entry, message);
+    }
+
+    /**
+     * Queue a message and start sending
+     * @param {object} recipient - Recipient user
+     * @param {string} text - Message text
+     * @returns {object} The new entry
+     */
+    enqueue(recipient, text) {
+        const entry = {
+            clientId: createClientId(),
+            username: this.username,
+            message: text,
+            createdAt: new Date().toISOString(),
+            recipientId: String(recipient.id || recipient._id),
+            recipientUsername: recipient.username,
+            status: 'pending',
+            attempts: 0,
+            uncertain: false,
+        };
+
+        this.entries = [...this.entries, entry];
+        this.notify('added', entry);
+        this.flush();
+
+        return entry;
+    }
+
+    /**
+     * Send a failed entry again (user tapped it)
+     * @param {string} clientId - Client id of the entry
+     */
+    retry(clientId) {
+        const entry = this.get(clientId);
+        if (!entry || entry.status !== 'failed') return;
+
+        this.update(clientId, { status: 'pending', attempts: 0 });
+        this.flush();
+    }
+
+    /**
+     * Send all pending entries, one after the other (keeps the order)
+     * @returns {Promise<void>}
+     */
+    flush() {
+        if (this.flushing) {
+            this.flushAgain = true;
+            return this.flushing;
+        }
+
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+
+        this.flushing = (async () => {
+            do {
+                this.flushAgain = false;
+                await this.sendPending();
+            } while (this.flushAgain);
+        })().finally(() => {
+            this.flushing = null;
+        });
+
+        return this.flushing;
+    }
+
+    async sendPending() {
+        // Offline: wait for the 'online' event or a WebSocket reconnect
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+        for (const { clientId } of this.entries.filter(entry => entry.status === 'pending')) {
+            const owner = this.owner;
+            const sent = await this.sendEntry(clientId);
+
+            // Stop on a temporary error so later messages don't overtake this one
+            if (!sent || this.owner !== owner) break;
+        }
+    }
+
+    /**
+     * Send one entry
+     * @param {string} clientId - Client id of the entry
+     * @returns {Promise<boolean>} False if sending has to wait (temporary error)
+     */
+    async sendEntry(clientId) {
+        let entry = this.get(clientId);
+        if (!entry || entry.status !== 'pending') return true;
+
+        // An earlier attempt may have reached the server - look for it first
+        if (entry.uncertain && await this.findSentCopy(entry)) {
+            return true;
+        }
+
+        entry = this.get(clientId);
+        if (!entry || entry.status !== 'pending') return true;
+
+        this.update(clientId, { status: 'sending', attempts: entry.attempts + 1 });
+
+        try {
+            const created = await API.sendMessage(entry.recipientId, entry.message, { retries: 0 });
+            this.handleSent(clientId, created);
+            return true;
+        } catch (error) {
+            return this.handleError(clientId, error);
+        }
+    }
+
+    /**
+     * POST succeeded
+     * @param {string} clientId - Client id of the entry
+     * @param {object} created - Response of the server (usually the stored message)
+     */
+    handleSent(clientId, created) {
+        const entry = this.get(clientId);
+        if (!entry) return; // logged out meanwhile
+
+        // No message in the response: keep showing the entry until a sync brings
+        // the stored copy (reconcile() then attributes and replaces it)
+        if (!isMessageRecord(created)) {
+            this.update(clientId, { status: 'pending', uncertain: true });
+            return;
+        }
+
+        // Backend doesn't return the receiver - remember it by message id
+        attributionStore.record(created, { id: entry.recipientId, username: entry.recipientUsername }, entry.message);
+        messageSync.add(created);
+        this.remove(clientId, created);
+    }
+
+    /**
+     * POST failed
+     * @param {string} clientId - Client id of the entry
+     * @param {Error} error - Error from the API layer
+     * @returns {boolean} True if flushing can go on with the next entry
+     */
+    handleError(clientId, error) {
+        const entry = this.get(clientId);
+        if (!entry) return false;
+
+        console.error('Error sending message:', error);
+
+        if (!isTemporaryError(error)) {
+            this.update(clientId, { status: 'failed', uncertain: false });
+            return true;
+        }
+
+        // No answer - the server may have stored the message anyway
+        const uncertain = entry.uncertain || error instanceof NetworkError;
+
+        if (entry.attempts >= MAX_ATTEMPTS) {
+            this.update(clientId, { status: 'failed', uncertain });
+            return true;
+        }
+
+        this.update(clientId, { status: 'pending', uncertain });
+        this.scheduleRetry(entry.attempts, error.retryAfter);
+        return false;
+    }
+
+    /**
+     * Retry later (a reconnect or 'online' event flushes earlier)
+     * @param {number} attempts - Attempts so far
+     * @param {number|null} retryAfter - Delay requested by the server (ms)
+     */
+    scheduleRetry(attempts, retryAfter = null) {
+        clearTimeout(this.retryTimer);
+        const delay = retryAfter ?? Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1));
+        this.retryTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    /**
+     * Check the server for a message an earlier attempt of this entry created
+     * @param {object} entry - Uncertain entry
+     * @returns {Promise<boolean>} True if found (entry is done)
+     */
+    async findSentCopy(entry) {
+        try {
+            await this.sync();
+        } catch (error) {
+            // Can't check - sending is decided by the next attempt's outcome
+            return false;
+        }
+
+        messageSync.getMessages().forEach(message => this.reconcile(message));
+        return !this.get(entry.clientId);
+    }
+
+    /**
+     * Match one of our own messages from the server (REST or WebSocket) against
+     * entries whose outcome is unknown. Called for every incoming own message.
+     *
+     * Only uncertain entries without a running request are matched (by text and
+     * time). Entries that are being sent are resolved by the id their POST
+     * returns, so the same text sent twice, or from another tab, is never
+     * mistaken for them.
+     * @param {object} message - Message from the server
+     * @returns {object|null} The entry the message belongs to
+     */
+    reconcile(message) {
+        if (!this.owner || message.username !== this.username) return null;
+
+        const messageId = message.id ?? message._id;
+        if (messageId === undefined || messageId === null) return null;
+
+        const candidates = this.entries.filter(entry =>
+            entry.uncertain &&
+            entry.status !== 'sending' &&
+            entry.message.trim() === String(message.message).trim() &&
+            Math.abs(new Date(message.createdAt) - new Date(entry.createdAt)) <= MATCH_WINDOW
+        );
+        if (candidates.length === 0) return null;
+
+        // Already attributed: it's another (earlier) message with the same text
+        if (attributionStore.resolve(message)) return null;
+
+        const entry = candidates[0];
+        attributionStore.record(message, { id: entry.recipientId, username: entry.recipientUsername }, entry.message);
+        this.remove(entry.clientId, message);
+        return entry;
+    }
+}
+
+// Create singleton instance
+const outbox = new Outbox();
+
+export default outbox;
@@ -0,0 +1,162 @@
+/**
+ * Presence Store
+ * Online / away / offline and "last seen" per user.
+ * The backend has no presence API, so the status is derived from activity
+ * (login, messages, typing, profile changes): someone active within
+ * API_CONFIG.PRESENCE.ONLINE_WINDOW counts as online, otherwise offline.
+ * Servers that relay presence frames set the status explicitly
+ * (away = tab hidden, offline = last connection closed).
+ */
+
+import API_CONFIG from '../config/api.config.js';
+
+const STATUS_ORDER = { online: 0, away: 1, offline: 2 };
+
+class PresenceStore {
+    constructor() {
+        // userId -> { status (reported by the server, or null), lastSeen (ms) }
+        this.entries = new Map();
+        // userId -> last status handlers were told about
+        this.notified = new Map();
+        this.changeHandlers = new Set();
+    }
+
+    /**
+     * Register a handler that is called when a user's status changes
+     * @param {Function} handler - Called with (userId, status)
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(handler) {
+        this.changeHandlers.add(handler);
+        return () => this.changeHandlers.delete(handler);
+    }
+
+    notify(userId, status) {
+        this.changeHandlers.forEach(handler => {
+            try {
+                handler(userId, status);
+            } catch (e) {
+                console.error('Presence handler error:', e);
+            }
+        });
+    }
+
+    getEntry(key) {
+        if (!this.entries.has(key)) {
+            this.entries.set(key, { status: null, lastSeen: null });
+        }
+        return this.entries.get(key);
+    }
+
+    /**
+     * Record activity of a user
+     * @param {string} userId - User id
+     * @param {Date|string|number} at - When the user was active (default: now)
+     */
+    seen(userId, at = Date.now()) {
+        const key = String(userId);
+        const time = new Date(at).getTime();
+        if (Number.isNaN(time)) return;
+
+        const entry = this.getEntry(key);
+        if (!entry.lastSeen || time > entry.lastSeen) {
+            entry.lastSeen = time;
+        }
+
+        // Fresh activity of someone reported away/offline: they are back
+        if (entry.status && entry.status !== 'online' && Date.now() - time < API_CONFIG.PRESENCE.ONLINE_WINDOW) {
+            entry.status = 'online';
+        }
+
+        this.refresh(key);
+    }
+
+    /**
+     * Apply a status reported by the server
+     * @param {string} userId - User id
+     * @param {string} status - online | away | offline
+     */
+    setStatus(userId, status) {
+        if (!(status in STATUS_ORDER)) return;
+
+        const key = String(userId);
+        const entry = this.getEntry(key);
+        entry.status = status;
+        entry.lastSeen = Date.now();
+
+        this.refresh(key);
+    }
+
+    /**
+     * Forget a user (e.g. account deleted)
+     * @param {string} userId - User id
+     */
+    remove(userId) {
+        const key = String(userId);
+        this.entries.delete(key);
+        this.notified.delete(key);
+    }
+
+    /**
+     * Current status of a user
+     * @param {string} userId - User id
+     * @returns {string} online | away | offline
+     */
+    getStatus(userId) {
+        const entry = this.entries.get(String(userId));
+        if (!entry) return 'offline';
+        if (entry.status) return entry.status;
+
+        return entry.lastSeen && Date.now() - entry.lastSeen < API_CONFIG.PRESENCE.ONLINE_WINDOW
+            ? 'online'
+            : 'offline';
+    }
+
+    /**
+     * Last activity of a user
+     * @param {string} userId - User id
+     * @returns {number|null} Timestamp (ms) or null if never seen
+     */
+    getLastSeen(userId) {
+        return this.entries.get(String(userId))?.lastSeen ?? null;
+    }
+
+    /**
+     * Compare two users for sorting (online, then away, then offline)
+     * @param {string} a - User id
+     * @param {string} b - User id
+     * @returns {number} Sort order
+     */
+    compare(a, b) {
+        return STATUS_ORDER[this.getStatus(a)] - STATUS_ORDER[this.getStatus(b)];
+    }
+
+    /**
+     * Re-evaluate statuses (activity gets older) and notify changes
+     * @param {string} userId - Only this user (default: all)
+     */
+    refresh(userId = null) {
+        const keys = userId !== null ? [String(userId)] : [...this.entries.keys()];
+
+        keys.forEach(key => {
+            const status = this.getStatus(key);
+            if (this.notified.get(key) !== status) {
+                this.notified.set(key, status);
+                this.notify(key, status);
+            }
+        });
+    }
+
+    /**
+     * Forget everything (e.g. on logout)
+     */
+    reset() {
+        this.entries.clear();
+        this.notified.clear();
+    }
+}
+
+// Create singleton instance
+const presence = new PresenceStore();
+
+export default presence;
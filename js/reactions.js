@@ -0,0 +1,136 @@
+/**
+ * Reactions
+ * The backend only stores messages, so a reaction is sent as a control message
+ * to the conversation partner:
+ *
+ *   [reaction:add] 👍 #42
+ *   [reaction:remove] 👍 #42
+ *
+ * Control messages are not rendered; fold() replays them in order and keeps
+ * per target message who reacted with which emoji. Other clients show the
+ * control message as plain text.
+ */
+
+// Emoji are limited in length so a control message cannot carry arbitrary text
+const REACTION_PATTERN = /^\[reaction:(add|remove)\] (\S{1,16}) #(\S+)$/;
+
+/**
+ * Text of a reaction control message
+ * @param {string} targetId - Id of the message reacted to
+ * @param {string} emoji - Emoji
+ * @param {boolean} active - True to add, false to take it back
+ * @returns {string} Text to send
+ */
+export function encodeReaction(targetId, emoji, active) {
+    return `[reaction:${active ? 'add' : 'remove'}] ${emoji} #${targetId}`;
+}
+
+/**
+ * Parse a reaction control message
+ * @param {string} text - Message text
+ * @returns {object|null} { targetId, emoji, active } or null if no reaction
+ */
+export function parseReaction(text) {
+    const match = REACTION_PATTERN.exec(text || '');
+    if (!match) return null;
+
+    return { targetId: match[3], emoji: match[2], active: match[1] === 'add' };
+}
+
+/**
+ * Check if a message is a reaction control message
+ * @param {object} message - Message data
+ * @returns {boolean} True if it must not be rendered as a message
+ */
+export function isReaction(message) {
+    return parseReaction(message?.message) !== null;
+}
+
+class ReactionStore {
+    constructor() {
+        // target message key -> [{ emoji, users: [username] }] (unchanged summaries keep their identity)
+        this.summaries = new Map();
+    }
+
+    /**
+     * Rebuild the reactions from all known control messages
+     * @param {array} messages - Messages, oldest first (other messages are skipped)
+     * @returns {Set} Keys of the target messages whose reactions changed
+     */
+    fold(messages) {
+        // key -> emoji -> Set of usernames, in the order they were first used
+        const state = new Map();
+
+        messages.forEach(message => {
+            const reaction = parseReaction(message.message);
+            if (!reaction) return;
+
+            const key = `id:${reaction.targetId}`;
+            if (!state.has(key)) state.set(key, new Map());
+            const emojis = state.get(key);
+            if (!emojis.has(reaction.emoji)) emojis.set(reaction.emoji, new Set());
+
+            if (reaction.active) {
+                emojis.get(reaction.emoji).add(message.username);
+            } else {
+                emojis.get(reaction.emoji).delete(message.username);
+            }
+        });
+
+        const changed = new Set();
+        const summaries = new Map();
+
+        state.forEach((emojis, key) => {
+            const summary = [...emojis]
+                .filter(([, users]) => users.size > 0)
+                .map(([emoji, users]) => ({ emoji, users: [...users] }));
+            if (summary.length === 0) return;
+
+            const previous = this.summaries.get(key);
+            if (previous && JSON.stringify(previous) === JSON.stringify(summary)) {
+                summaries.set(key, previous);
+            } else {
+                summaries.set(key, summary);
+                changed.add(key);
+            }
+        });
+        this.summaries.forEach((summary, key) => {
+            if (!summaries.has(key)) changed.add(key);
+        });
+
+        this.summaries = summaries;
+        return changed;
+    }
+
+    /**
+     * Reactions of a message
+     * @param {string} key - Message key
+     * @returns {array|null} [{ emoji, users }] or null if nobody reacted
+     */
+    get(key) {
+        return this.summaries.get(key) ?? null;
+    }
+
+    /**
+     * Check if a user reacted to a message with an emoji
+     * @param {string} key - Message key
+     * @param {string} emoji - Emoji
+     * @param {string} username - Username
+     * @returns {boolean} True if the reaction is active
+     */
+    hasReacted(key, emoji, username) {
+        return !!this.get(key)?.find(reaction => reaction.emoji === emoji)?.users.includes(username);
+    }
+
+    /**
+     * Forget everything (e.g. on logout)
+     */
+    reset() {
+        this.summaries.clear();
+    }
+}
+
+// Create singleton instance
+const reactions = new ReactionStore();
+
+export default reactions;
@@ -0,0 +1,58 @@
+/**
+ * Replies
+ * The backend stores only { username, message, createdAt }, so the parent of a
+ * reply travels in the text itself, as a quote line in front of the answer:
+ *
+ *   > [#42] alice: first line of the parent
+ *   the answer
+ *
+ * Other clients show it as a plain quote. The snippet keeps the reply readable
+ * when the parent is deleted or not loaded.
+ */
+
+const REPLY_PATTERN = /^> \[#([^\]\s]+)\] (.*?): ([^\n]*)\n/;
+const SNIPPET_LENGTH = 100;
+
+/**
+ * First line of a text that is not a quote, shortened
+ * @param {string} text - Message text
+ * @returns {string} Snippet
+ */
+export function getSnippet(text) {
+    const line = (text.split('\n').find(part => !part.startsWith('> ')) ?? '').trim();
+    return line.length > SNIPPET_LENGTH ? `${line.slice(0, SNIPPET_LENGTH)}…` : line;
+}
+
+/**
+ * Text of a reply to a message
+ * @param {object} parent - Message that is answered ({ id, username, message })
+ * @param {string} text - Answer
+ * @returns {string} Text to send
+ */
+export function encodeReply(parent, text) {
+    return `> [#${parent.id ?? parent._id}] ${parent.username}: ${getSnippet(parent.message)}\n${text}`;
+}
+
+/**
+ * Split a reply into parent reference and answer
+ * @param {string} text - Message text
+ * @returns {object|null} { parentId, username, snippet, header, body } or null if no reply
+ */
+export function parseReply(text) {
+    const match = REPLY_PATTERN.exec(text || '');
+    if (!match) return null;
+
+    return {
+        parentId: match[1],
+        username: match[2],
+        snippet: match[3],
+        header: match[0],
+        body: text.slice(match[0].length),
+    };
+}
+
+export default {
+    getSnippet,
+    encodeReply,
+    parseReply,
+};
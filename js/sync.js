@@ -0,0 +1,246 @@
+/**
+ * Message Sync
+ * Keeps a local copy of all messages and only fetches what is new
+ */
+
+import * as API from './api.js';
+
+/**
+ * Stable key for a message
+ * Uses the server id, then the client id of unsent messages,
+ * falls back to sender + timestamp + text for payloads without id
+ * @param {object} message - Message data
+ * @returns {string} Message key
+ */
+export function getMessageKey(message) {
+    const id = message.id ?? message._id;
+    if (id !== undefined && id !== null) {
+        return `id:${id}`;
+    }
+    // Local messages that are not on the server yet (outbox)
+    if (message.clientId) {
+        return `client:${message.clientId}`;
+    }
+    return `raw:${message.username}|${message.createdAt}|${message.message}`;
+}
+
+/**
+ * Sort messages by timestamp (oldest first)
+ * @param {object} a - Message
+ * @param {object} b - Message
+ * @returns {number} Sort order
+ */
+function byCreatedAt(a, b) {
+    return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+class MessageSync {
+    constructor() {
+        // key -> message
+        this.store = new Map();
+
+        // Newest createdAt seen in a REST response (only REST moves the cursor,
+        // a WS push must not make us skip messages we never received)
+        this.cursor = null;
+
+        // Oldest createdAt seen in a REST response + whether the server has more history
+        this.oldest = null;
+        this.hasOlder = false;
+
+        this.sorted = null;
+
+        // Time of the last successful sync() (ms)
+        this.lastSyncAt = null;
+    }
+
+    /**
+     * Fetch messages newer than the cursor and merge them into the store.
+     * The first call only asks for the newest `limit` messages, older ones
+     * are fetched page by page with loadOlder().
+     * If the backend ignores the `since`/`limit` parameters and returns everything,
+     * the result is still diffed against the store.
+     * @param {object} options - { signal } to cancel, { limit } for the first page
+     * @returns {Promise<{added: array, changed: array}>} What actually changed
+     */
+    async sync({ signal, limit } = {}) {
+        const isFirstSync = !this.cursor;
+        const params = isFirstSync
+            ? (limit ? { limit } : {})
+            : { since: this.cursor };
+
+        const response = await API.getMessages(params, { signal });
+        const messages = Array.isArray(response) ? response : [];
+        this.lastSyncAt = Date.now();
+
+        const result = this.merge(messages);
+        this.updateBounds(messages);
+
+        if (isFirstSync) {
+            this.hasOlder = !!limit && messages.length >= limit;
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch the page of messages before the oldest known one
+     * @param {object} options - { signal } to cancel, { limit } page size
+     * @returns {Promise<{added: array, changed: array}>} What actually changed
+     */
+    async loadOlder({ signal, limit } = {}) {
+        if (!this.hasOlder || !this.oldest) {
+            return { added: [], changed: [] };
+        }
+
+        const response = await API.getMessages({ before: this.oldest, limit }, { signal });
+        const messages = Array.isArray(response) ? response : [];
+
+        const result = this.merge(messages);
+        this.updateBounds(messages);
+
+        // Short page, or backend ignored `before` and sent what we already have
+        if (messages.length < limit || result.added.length === 0) {
+            this.hasOlder = false;
+        }
+
+        return result;
+    }
+
+    /**
+     * Fetch the newest messages again to find edits and deletions of known
+     * messages (the `since` cursor only brings new ones). Nothing is merged;
+     * the caller applies the result like the matching WebSocket events.
+     * @param {object} options - { signal } to cancel, { limit } window size
+     * @returns {Promise<{updated: array, removed: array}>} Server versions of known
+     *   messages that differ, and known messages missing from the window
+     */
+    async refreshWindow({ signal, limit } = {}) {
+        const response = await API.getMessages(limit ? { limit } : {}, { signal });
+        const messages = Array.isArray(response) ? response : [];
+        this.lastSyncAt = Date.now();
+
+        const times = messages
+            .map(message => new Date(message.createdAt).getTime())
+            .filter(time => !Number.isNaN(time));
+
+        // Empty window: nothing to compare against
+        if (times.length === 0) {
+            return { updated: [], removed: [] };
+        }
+
+        const from = Math.min(...times);
+        const to = Math.max(...times);
+        const keys = new Set(messages.map(getMessageKey));
+
+        const updated = messages.filter(message => {
+            const existing = this.store.get(getMessageKey(message));
+            return existing && (existing.message !== message.message || existing.updatedAt !== message.updatedAt);
+        });
+
+        // Known server messages inside the window that the server no longer returns
+        const removed = [...this.store.values()].filter(message => {
+            const time = new Date(message.createdAt).getTime();
+            return (message.id ?? message._id) != null &&
+                time >= from && time <= to &&
+                !keys.has(getMessageKey(message));
+        });
+
+        return { updated, removed };
+    }
+
+    /**
+     * Move newest/oldest cursors according to a REST response
+     * @param {array} messages - Messages from REST
+     */
+    updateBounds(messages) {
+        messages.forEach(message => {
+            if (!message.createdAt) return;
+            const time = new Date(message.createdAt);
+
+            if (!this.cursor || time > new Date(this.cursor)) {
+                this.cursor = message.createdAt;
+            }
+            if (!this.oldest || time < new Date(this.oldest)) {
+                this.oldest = message.createdAt;
+            }
+        });
+    }
+
+    /**
+     * Merge messages into the store
+     * @param {array} messages - Messages from REST or WebSocket
+     * @returns {{added: array, changed: array}} New and modified messages
+     */
+    merge(messages) {
+        const added = [];
+        const changed = [];
+
+        messages.forEach(message => {
+            const key = getMessageKey(message);
+            const existing = this.store.get(key);
+
+            if (!existing) {
+                this.store.set(key, message);
+                added.push(message);
+                return;
+            }
+
+            if (existing.message !== message.message || existing.updatedAt !== message.updatedAt) {
+                this.store.set(key, { ...existing, ...message });
+                changed.push(message);
+            }
+        });
+
+        if (added.length || changed.length) {
+            this.sorted = null;
+        }
+
+        return { added, changed };
+    }
+
+    /**
+     * Add a single message (e.g. from WebSocket)
+     * @param {object} message - Message data
+     * @returns {boolean} True if the message was not known yet
+     */
+    add(message) {
+        return this.merge([message]).added.length > 0;
+    }
+
+    /**
+     * Get a known message
+     * @param {string} key - Message key (see getMessageKey())
+     * @returns {object|null} Message or null if unknown
+     */
+    get(key) {
+        return this.store.get(key) || null;
+    }
+
+    /**
+     * Get all known messages, sorted by timestamp
+     * @returns {array} Messages
+     */
+    getMessages() {
+        if (!this.sorted) {
+            this.sorted = [...this.store.values()].sort(byCreatedAt);
+        }
+        return this.sorted;
+    }
+
+    /**
+     * Forget everything (e.g. on logout)
+     */
+    reset() {
+        this.store.clear();
+        this.cursor = null;
+        this.oldest = null;
+        this.hasOlder = false;
+        this.sorted = null;
+        this.lastSyncAt = null;
+    }
+}
+
+// Create singleton instance
+const messageSync = new MessageSync();
+
+export default messageSync;
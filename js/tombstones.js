@@ -0,0 +1,103 @@
+/**
+ * Tombstones
+ * Messages that are still shown as a placeholder instead of their text:
+ * - deleted: removed for everyone (deleted_message or our own delete), kept
+ *   for this session so the layout does not jump
+ * - hidden: "hide for me", persisted per user in localStorage
+ */
+
+const STORAGE_PREFIX = 'livechat_hidden_';
+
+class Tombstones {
+    constructor() {
+        this.owner = null;
+        this.deleted = new Set();
+        this.hidden = new Set();
+    }
+
+    /**
+     * Load the hidden messages of a user
+     * @param {object} user - Current user ({ id })
+     */
+    open(user) {
+        this.owner = String(user.id || user._id);
+        this.deleted.clear();
+        this.hidden = new Set(this.load());
+    }
+
+    /**
+     * Forget everything in memory (e.g. on logout); hidden messages stay persisted
+     */
+    close() {
+        this.owner = null;
+        this.deleted.clear();
+        this.hidden.clear();
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${this.owner}`;
+    }
+
+    load() {
+        try {
+            const keys = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(keys) ? keys : [];
+        } catch (error) {
+            console.error('Could not read hidden messages:', error);
+            return [];
+        }
+    }
+
+    save() {
+        if (!this.owner) return;
+
+        if (this.hidden.size === 0) {
+            localStorage.removeItem(this.storageKey);
+        } else {
+            localStorage.setItem(this.storageKey, JSON.stringify([...this.hidden]));
+        }
+    }
+
+    /**
+     * Mark a message as deleted for everyone
+     * @param {string} key - Message key
+     */
+    markDeleted(key) {
+        this.deleted.add(key);
+    }
+
+    /**
+     * Hide a message for the current user only
+     * @param {string} key - Message key
+     */
+    hide(key) {
+        this.hidden.add(key);
+        this.save();
+    }
+
+    /**
+     * Show a hidden message again
+     * @param {string} key - Message key
+     */
+    unhide(key) {
+        if (this.hidden.delete(key)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Tombstone of a message
+     * @param {string} key - Message key
+     * @returns {string|null} 'deleted' | 'hidden' | null
+     */
+    get(key) {
+        if (this.deleted.has(key)) return 'deleted';
+        if (this.hidden.has(key)) return 'hidden';
+        return null;
+    }
+}
+
+// Create singleton instance
+const tombstones = new Tombstones();
+
+export default tombstones;
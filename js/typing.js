@@ -0,0 +1,89 @@
+/**
+ * Typing Tracker
+ * Keeps track of who is typing right now (fed by incoming typing events).
+ * A start without a matching stop expires after API_CONFIG.TYPING.EXPIRE_AFTER,
+ * so a lost stop_typing frame never leaves an indicator behind.
+ */
+
+import API_CONFIG from '../config/api.config.js';
+
+class TypingTracker {
+    constructor() {
+        // userId -> { username, timer }
+        this.typing = new Map();
+        this.changeHandlers = new Set();
+    }
+
+    /**
+     * Register a handler that is called when someone starts/stops typing
+     * @param {Function} handler - Called with (userId, isTyping)
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(handler) {
+        this.changeHandlers.add(handler);
+        return () => this.changeHandlers.delete(handler);
+    }
+
+    notify(userId, isTyping) {
+        this.changeHandlers.forEach(handler => {
+            try {
+                handler(userId, isTyping);
+            } catch (e) {
+                console.error('Typing handler error:', e);
+            }
+        });
+    }
+
+    /**
+     * Apply a typing event
+     * @param {string} userId - User who is typing
+     * @param {string} username - Username (for the indicator text)
+     * @param {boolean} isTyping - Started or stopped typing
+     */
+    set(userId, username, isTyping) {
+        const key = String(userId);
+        const existing = this.typing.get(key);
+
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+
+        if (!isTyping) {
+            if (existing) {
+                this.typing.delete(key);
+                this.notify(key, false);
+            }
+            return;
+        }
+
+        // Every start (repeated while typing) extends the expiry
+        const timer = setTimeout(() => this.set(key, username, false), API_CONFIG.TYPING.EXPIRE_AFTER);
+        this.typing.set(key, { username, timer });
+
+        if (!existing) {
+            this.notify(key, true);
+        }
+    }
+
+    /**
+     * Check if a user is typing
+     * @param {string} userId - User id
+     * @returns {boolean} True if typing
+     */
+    isTyping(userId) {
+        return this.typing.has(String(userId));
+    }
+
+    /**
+     * Forget everything (e.g. on logout)
+     */
+    reset() {
+        this.typing.forEach(entry => clearTimeout(entry.timer));
+        this.typing.clear();
+    }
+}
+
+// Create singleton instance
+const typingTracker = new TypingTracker();
+
+export default typingTracker;
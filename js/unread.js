@@ -0,0 +1,118 @@
+/**
+ * Unread Store
+ * Read markers per conversation (time of the newest message the user has seen),
+ * persisted in localStorage per logged-in user. Unread counts are derived from
+ * the known messages: everything a partner wrote after the marker is unread.
+ *
+ * Conversations without a marker start at the first login on this device,
+ * so older history does not show up as unread.
+ */
+
+const STORAGE_PREFIX = 'livechat_read_';
+
+class UnreadStore {
+    constructor() {
+        this.owner = null;
+        this.username = null;
+
+        // Baseline for conversations without a marker + partnerId -> timestamp (ms)
+        this.since = 0;
+        this.markers = {};
+    }
+
+    /**
+     * Load the read markers of a user
+     * @param {object} user - Current user ({ id, username })
+     */
+    open(user) {
+        this.owner = String(user.id || user._id);
+        this.username = user.username;
+
+        const stored = this.load();
+        this.since = stored?.since ?? Date.now();
+        this.markers = stored?.markers ?? {};
+        this.save();
+    }
+
+    /**
+     * Forget the markers in memory (e.g. on logout); persisted ones stay
+     */
+    close() {
+        this.owner = null;
+        this.username = null;
+        this.since = 0;
+        this.markers = {};
+    }
+
+    get storageKey() {
+        return `${STORAGE_PREFIX}${this.owner}`;
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            return data && typeof data === 'object' ? data : null;
+        } catch (error) {
+            console.error('Could not read read markers:', error);
+            return null;
+        }
+    }
+
+    save() {
+        if (!this.owner) return;
+        localStorage.setItem(this.storageKey, JSON.stringify({ since: this.since, markers: this.markers }));
+    }
+
+    /**
+     * Time up to which a conversation is read
+     * @param {string} partnerId - Chat partner id
+     * @returns {number} Timestamp (ms)
+     */
+    getMarker(partnerId) {
+        return this.markers[String(partnerId)] ?? this.since;
+    }
+
+    /**
+     * Mark a conversation as read up to a message
+     * @param {string} partnerId - Chat partner id
+     * @param {Date|string|number} at - createdAt of the newest seen message
+     * @returns {boolean} True if the marker moved
+     */
+    markRead(partnerId, at) {
+        const time = new Date(at).getTime();
+        if (!this.owner || Number.isNaN(time) || time <= this.getMarker(partnerId)) {
+            return false;
+        }
+
+        this.markers[String(partnerId)] = time;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Count unread messages per conversation
+     * @param {array} messages - Known messages
+     * @param {array} users - Known users (to map sender names to ids)
+     * @returns {Map} partnerId -> unread count (only conversations with unread)
+     */
+    count(messages, users) {
+        const ids = new Map(users.map(user => [user.username, String(user.id || user._id)]));
+        const counts = new Map();
+
+        messages.forEach(message => {
+            const partnerId = ids.get(message.username);
+            if (!partnerId || message.username === this.username) return;
+
+            if (new Date(message.createdAt).getTime() > this.getMarker(partnerId)) {
+                counts.set(partnerId, (counts.get(partnerId) || 0) + 1);
+            }
+        });
+
+        return counts;
+    }
+}
+
+// Create singleton instance
+const unreadStore = new UnreadStore();
+
+export default unreadStore;
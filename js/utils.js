@@ -117,6 +117,9 @@ export function parseMarkdown(text) {
     // Inline code: `text`
     html = html.replace(/`(.+?)`/g, '<code>$1</code>');
     
+    // Quote: lines starting with "> "
+    html = html.replace(/^&gt; ?(.*)(\n|$)/gm, '<blockquote>$1</blockquote>');
+    
     // Line breaks
     html = html.replace(/\n/g, '<br>');
     
@@ -141,6 +144,63 @@ export function debounce(func, wait) {
     };
 }
 
+/**
+ * Throttle function (runs at most once per wait, first call immediately)
+ * @param {Function} func - Function to throttle
+ * @param {number} wait - Minimum time between calls in milliseconds
+ * @returns {Function} Throttled function (with cancel() to allow the next call right away)
+ */
+export function throttle(func, wait) {
+    let lastCall = 0;
+    const throttled = function executedFunction(...args) {
+        const now = Date.now();
+        if (now - lastCall >= wait) {
+            lastCall = now;
+            func(...args);
+        }
+    };
+    throttled.cancel = () => {
+        lastCall = 0;
+    };
+    return throttled;
+}
+
+/**
+ * Fuzzy match a query against a text (characters in order, gaps allowed)
+ * @param {string} query - Search query
+ * @param {string} text - Text to search in
+ * @returns {number|null} Score (higher is better) or null if it does not match
+ */
+export function fuzzyMatch(query, text) {
+    const q = (query || '').trim().toLowerCase();
+    const t = (text || '').toLowerCase();
+    if (!q) return 0;
+    
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    
+    for (const char of q) {
+        const index = t.indexOf(char, from);
+        if (index === -1) return null;
+        
+        // Adjacent characters and matches at the start count more
+        score += index === previous + 1 ? 3 : 1;
+        if (index === 0) score += 2;
+        
+        previous = index;
+        from = index + 1;
+    }
+    
+    if (t.startsWith(q)) {
+        score += 10;
+    } else if (t.includes(q)) {
+        score += 5;
+    }
+    
+    return score;
+}
+
 /**
  * Show error message in form
  * @param {string} elementId - Error element ID
@@ -319,6 +379,8 @@ export default {
     sanitizeHTML,
     parseMarkdown,
     debounce,
+    throttle,
+    fuzzyMatch,
     showError,
     hideError,
     showSuccess,
@@ -0,0 +1,370 @@
+/**
+ * Virtual List
+ * Renders only the visible part of a long list (plus overscan) into the DOM.
+ * Supports variable item heights (measured after render), keyed updates,
+ * scroll anchoring (prepending keeps the view in place) and "stick to bottom".
+ *
+ * Items outside the window are replaced by two spacer elements, so the
+ * list keeps its normal flow layout (flex + gap) and the scrollbar its size.
+ */
+
+const DEFAULT_OVERSCAN = 600;       // px rendered above/below the viewport
+const DEFAULT_ITEM_HEIGHT = 90;     // px estimate for items never rendered
+const MAX_RENDER_PASSES = 3;        // re-render while measured heights change
+
+export class VirtualList {
+    /**
+     * @param {object} options
+     * @param {HTMLElement} options.container - Scrolling element
+     * @param {HTMLElement} options.list - Element the items are rendered into (inside container)
+     * @param {Function} options.renderItem - (item) => HTMLElement
+     * @param {Function} options.getKey - (item) => unique string key
+     * @param {Function} options.isEqual - (a, b) => true if a rendered element for a can be reused for b
+     * @param {number} options.estimateHeight - Height estimate for unmeasured items
+     * @param {number} options.overscan - Extra px to render above and below the viewport
+     * @param {number} options.bottomThreshold - Distance (px) that still counts as "at bottom"
+     */
+    constructor({
+        container,
+        list,
+        renderItem,
+        getKey,
+        isEqual = (a, b) => a === b,
+        estimateHeight = DEFAULT_ITEM_HEIGHT,
+        overscan = DEFAULT_OVERSCAN,
+        bottomThreshold = 100,
+    }) {
+        this.container = container;
+        this.list = list;
+        this.renderItem = renderItem;
+        this.getKey = getKey;
+        this.isEqual = isEqual;
+        this.estimateHeight = estimateHeight;
+        this.overscan = overscan;
+        this.bottomThreshold = bottomThreshold;
+
+        this.items = [];
+        this.indexByKey = new Map();
+        this.offsets = [0];
+
+        // key -> measured height (incl. gap); survives items leaving the window
+        this.heights = new Map();
+
+        // key -> { element, item } currently in the DOM
+        this.rendered = new Map();
+
+        this.frame = null;
+
+        this.topSpacer = this.createSpacer();
+        this.bottomSpacer = this.createSpacer();
+        this.list.innerHTML = '';
+        this.list.append(this.topSpacer, this.bottomSpacer);
+        this.list.classList.add('virtualized');
+
+        this.onScroll = () => this.scheduleRender();
+        this.container.addEventListener('scroll', this.onScroll, { passive: true });
+
+        // Re-measure when the viewport or a rendered item changes size
+        this.resizeObserver = typeof ResizeObserver !== 'undefined'
+            ? new ResizeObserver(() => this.scheduleRender({ keepBottom: true }))
+            : null;
+        this.resizeObserver?.observe(this.container);
+    }
+
+    createSpacer() {
+        const spacer = document.createElement('div');
+        spacer.className = 'virtual-spacer';
+        spacer.setAttribute('aria-hidden', 'true');
+        return spacer;
+    }
+
+    /**
+     * Replace the list items (keyed diff - unchanged items keep their element)
+     * @param {array} items - All items in display order
+     */
+    setItems(items) {
+        const stick = this.isAtBottom();
+        const anchor = stick ? null : this.captureAnchor();
+
+        this.items = items;
+        this.indexByKey = new Map(items.map((item, index) => [this.getKey(item), index]));
+
+        this.render({ anchor, stick });
+    }
+
+    /**
+     * Scroll to the last item
+     */
+    scrollToBottom() {
+        this.render({ stick: true });
+    }
+
+    /**
+     * Scroll an item into view (centered) and return its element
+     * @param {string} key - Item key
+     * @returns {HTMLElement|null} Rendered element
+     */
+    scrollToKey(key) {
+        const index = this.indexByKey.get(key);
+        if (index === undefined) return null;
+
+        const height = this.getHeight(index);
+        const delta = -Math.max(0, (this.container.clientHeight - height) / 2);
+        this.render({ anchor: { key, delta } });
+
+        return this.getElement(key);
+    }
+
+    /**
+     * Move the measured height and rendered element of an item to a new key
+     * (e.g. a local item got its server id); call before setItems()
+     * @param {string} oldKey - Previous key
+     * @param {string} newKey - New key
+     */
+    renameKey(oldKey, newKey) {
+        if (oldKey === newKey) return;
+
+        if (this.heights.has(oldKey)) {
+            this.heights.set(newKey, this.heights.get(oldKey));
+            this.heights.delete(oldKey);
+        }
+
+        const entry = this.rendered.get(oldKey);
+        if (entry && !this.rendered.has(newKey)) {
+            entry.element.dataset.virtualKey = newKey;
+            this.rendered.set(newKey, entry);
+            this.rendered.delete(oldKey);
+        }
+    }
+
+    /**
+     * Get the rendered element of an item (null if outside the window)
+     * @param {string} key - Item key
+     * @returns {HTMLElement|null} Element
+     */
+    getElement(key) {
+        return this.rendered.get(key)?.element || null;
+    }
+
+    /**
+     * Check if the list is scrolled (close) to the bottom
+     * @param {number} threshold - Distance in px
+     * @returns {boolean} True if at bottom
+     */
+    isAtBottom(threshold = this.bottomThreshold) {
+        const { scrollHeight, scrollTop, clientHeight } = this.container;
+        return scrollHeight - scrollTop - clientHeight < threshold;
+    }
+
+    /**
+     * Render on the next animation frame (coalesces scroll/resize events)
+     * @param {object} options - { keepBottom } stay at the bottom if already there
+     */
+    scheduleRender({ keepBottom = false } = {}) {
+        if (keepBottom && this.isAtBottom(2)) {
+            this.pendingStick = true;
+        }
+        if (this.frame) return;
+
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            const stick = !!this.pendingStick;
+            this.pendingStick = false;
+            this.render({ anchor: stick ? null : this.captureAnchor(), stick });
+        });
+    }
+
+    /**
+     * Render the visible window
+     * @param {object} options - anchor ({ key, delta }) to keep in place, or stick to bottom
+     */
+    render({ anchor = null, stick = false } = {}) {
+        for (let pass = 0; pass < MAX_RENDER_PASSES; pass++) {
+            const heightsChanged = this.renderPass(anchor, stick);
+            if (!heightsChanged) break;
+        }
+    }
+
+    /**
+     * One render pass: pick range, reconcile DOM, measure, restore scroll position
+     * @returns {boolean} True if measured heights differed from the estimates
+     */
+    renderPass(anchor, stick) {
+        this.computeOffsets();
+
+        const count = this.items.length;
+        const total = this.offsets[count];
+        const listTop = this.list.offsetTop;
+        const viewportHeight = this.container.clientHeight;
+
+        // Where the viewport will be after this pass (relative to the list)
+        let viewTop = this.container.scrollTop - listTop;
+        const anchorIndex = anchor ? this.indexByKey.get(anchor.key) : undefined;
+        if (stick) {
+            viewTop = total - viewportHeight;
+        } else if (anchorIndex !== undefined) {
+            viewTop = this.offsets[anchorIndex] - anchor.delta;
+        }
+
+        const start = count ? this.findIndex(Math.max(0, viewTop - this.overscan)) : 0;
+        const end = count ? Math.min(count, this.findIndex(viewTop + viewportHeight + this.overscan) + 1) : 0;
+
+        this.reconcile(start, end);
+        const heightsChanged = this.measure(start, end);
+
+        if (heightsChanged) {
+            this.computeOffsets();
+        }
+        this.topSpacer.style.height = `${this.offsets[start]}px`;
+        this.bottomSpacer.style.height = `${this.offsets[count] - this.offsets[end]}px`;
+
+        // Restore scroll position
+        if (stick) {
+            this.container.scrollTop = this.container.scrollHeight;
+        } else if (anchorIndex !== undefined) {
+            this.container.scrollTop = this.offsets[anchorIndex] - anchor.delta + listTop;
+        }
+
+        return heightsChanged;
+    }
+
+    /**
+     * Make the DOM contain exactly the items start..end-1 (in order)
+     */
+    reconcile(start, end) {
+        const wanted = new Set();
+        for (let i = start; i < end; i++) {
+            wanted.add(this.getKey(this.items[i]));
+        }
+
+        // Remove items that left the window
+        this.rendered.forEach((entry, key) => {
+            if (!wanted.has(key)) {
+                this.resizeObserver?.unobserve(entry.element);
+                entry.element.remove();
+                this.rendered.delete(key);
+            }
+        });
+
+        // Insert / update in order
+        let previous = this.topSpacer;
+        for (let i = start; i < end; i++) {
+            const item = this.items[i];
+            const key = this.getKey(item);
+            let entry = this.rendered.get(key);
+
+            if (entry && !this.isEqual(entry.item, item)) {
+                const element = this.createElement(item, key);
+                this.resizeObserver?.unobserve(entry.element);
+                entry.element.replaceWith(element);
+                entry = { element, item };
+                this.rendered.set(key, entry);
+            } else if (!entry) {
+                entry = { element: this.createElement(item, key), item };
+                this.rendered.set(key, entry);
+            }
+
+            if (previous.nextSibling !== entry.element) {
+                this.list.insertBefore(entry.element, previous.nextSibling);
+            }
+            previous = entry.element;
+        }
+    }
+
+    createElement(item, key) {
+        const element = this.renderItem(item);
+        element.dataset.virtualKey = key;
+        this.resizeObserver?.observe(element);
+        return element;
+    }
+
+    /**
+     * Store the real heights of the rendered items
+     * @returns {boolean} True if any height changed
+     */
+    measure(start, end) {
+        const gap = parseFloat(getComputedStyle(this.list).rowGap) || 0;
+        let changed = false;
+
+        for (let i = start; i < end; i++) {
+            const key = this.getKey(this.items[i]);
+            const element = this.rendered.get(key)?.element;
+            if (!element) continue;
+
+            const height = element.offsetHeight + gap;
+            if (this.heights.get(key) !== height) {
+                this.heights.set(key, height);
+                changed = true;
+            }
+        }
+
+        return changed;
+    }
+
+    getHeight(index) {
+        const key = this.getKey(this.items[index]);
+        if (this.heights.has(key)) return this.heights.get(key);
+        return typeof this.estimateHeight === 'function'
+            ? this.estimateHeight(this.items[index])
+            : this.estimateHeight;
+    }
+
+    computeOffsets() {
+        const count = this.items.length;
+        this.offsets = new Array(count + 1);
+        this.offsets[0] = 0;
+        for (let i = 0; i < count; i++) {
+            this.offsets[i + 1] = this.offsets[i] + this.getHeight(i);
+        }
+    }
+
+    /**
+     * Binary search: index of the item at a vertical offset
+     * @param {number} offset - Offset in px (relative to the list)
+     * @returns {number} Item index (clamped to the item range)
+     */
+    findIndex(offset) {
+        let low = 0;
+        let high = this.items.length - 1;
+
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.offsets[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        return Math.max(0, low);
+    }
+
+    /**
+     * First item at the top of the viewport and its distance to the viewport top
+     * @returns {object|null} { key, delta }
+     */
+    captureAnchor() {
+        if (this.items.length === 0) return null;
+
+        const viewTop = this.container.scrollTop - this.list.offsetTop;
+        const index = this.findIndex(Math.max(0, viewTop));
+        return {
+            key: this.getKey(this.items[index]),
+            delta: this.offsets[index] - viewTop,
+        };
+    }
+
+    /**
+     * Remove all items and listeners
+     */
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.container.removeEventListener('scroll', this.onScroll);
+        this.resizeObserver?.disconnect();
+        this.rendered.clear();
+        this.list.innerHTML = '';
+        this.list.classList.remove('virtualized');
+    }
+}
+
+export default VirtualList;
@@ -1,8 +1,31 @@
 /**
  * WebSocket Service
- * Robust gegen unterschiedliche Message-Shapes
+ * Frame-Format (Dialekt) wird einmal ausgehandelt, siehe ws-protocol.js
+ *
+ * Heartbeat: alle WS_HEARTBEAT.INTERVAL ms ein Ping, der Server antwortet mit Pong.
+ * Bleiben MAX_MISSED Pongs aus, wird die Verbindung neu aufgebaut.
+ * Listener bekommen 'connection_state': connecting, open, degraded, reconnecting, offline
+ *
+ * Reconnect: unbegrenzt, exponentielles Backoff mit Jitter (WS_RECONNECT),
+ * sofort bei 'online' und wenn der Tab wieder sichtbar wird.
  */
 import API_CONFIG from '../config/api.config.js';
+import WsProtocol from './ws-protocol.js';
+
+const { WS_EVENTS, WS_HEARTBEAT, WS_RECONNECT } = API_CONFIG;
+
+// Eigener Close-Code, wenn wir eine tote Verbindung selbst beenden
+const HEARTBEAT_CLOSE_CODE = 4000;
+
+// Server-Events -> Events für die Listener (chat.js)
+const EVENT_MAP = {
+  [WS_EVENTS.MESSAGE]: 'message',
+  [WS_EVENTS.USER_JOINED]: 'user_joined',
+  [WS_EVENTS.USER_UPDATED]: 'user_updated',
+  [WS_EVENTS.USER_LEFT]: 'user_left',
+  [WS_EVENTS.MESSAGE_UPDATED]: 'message_updated',
+  [WS_EVENTS.MESSAGE_DELETED]: 'message_deleted',
+};
 
 class WebSocketService {
   constructor() {
@@ -10,14 +33,43 @@ class WebSocketService {
     this.connected = false;
 
     this.reconnectAttempts = 0;
-    this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 3000;
+    this.reconnectTimer = null;
+
+    // false nach disconnect() / Auth-Fehler -> kein automatischer Reconnect
+    this.shouldReconnect = false;
+    this.browserListenersAttached = false;
 
     this.eventHandlers = new Map();
 
-    // “connected aber empfängt nix” erkennen
-    this.lastMessageAt = 0;
-    this.staleAfterMs = 15000;
+    // Dialekt bleibt über Reconnects hinweg erhalten
+    this.protocol = new WsProtocol(WS_EVENTS);
+
+    // Close-Codes, mit denen der Server ein ungültiges/abgelaufenes Token meldet
+    this.authFailureCodes = [1008, 4001, 4401, 4403];
+
+    // connecting | open | degraded | reconnecting | offline
+    this.state = 'offline';
+
+    // Heartbeat
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+    this.missedPongs = 0;
+    this.lastPongAt = 0;
+    this.latency = null;
+
+    // Erst wenn der Server einmal Pong geantwortet hat (oder 'ping' anbietet),
+    // führen fehlende Pongs zum Reconnect
+    this.pongSupported = false;
+  }
+
+  setState(state) {
+    if (this.state === state) return;
+    this.state = state;
+    this.emit('connection_state', state);
+  }
+
+  getState() {
+    return this.state;
   }
 
   normalizeWsUrl(url) {
@@ -29,23 +81,46 @@ class WebSocketService {
 
   /**
    * Safely send JSON to WS (no crash if not open)
+   * @returns {boolean} true wenn gesendet
    */
   safeSend(obj) {
     try {
       if (this.ws && this.ws.readyState === WebSocket.OPEN) {
         this.ws.send(JSON.stringify(obj));
+        return true;
       }
     } catch (e) {
       console.error('WS send failed:', e);
     }
+    return false;
+  }
+
+  /**
+   * Genau ein Frame pro Aktion, im ausgehandelten Dialekt
+   * @param {string} action - z.B. 'SEND_MESSAGE' (siehe API_CONFIG.WS_EVENTS.FRAMES)
+   * @returns {boolean} true wenn gesendet
+   */
+  send(action, ...args) {
+    try {
+      return this.safeSend(this.protocol.encode(action, ...args));
+    } catch (e) {
+      console.error('WS send failed:', e);
+      return false;
+    }
   }
 
   connect() {
+    this.shouldReconnect = true;
+    this.attachBrowserListeners();
+
     try {
       if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
         return;
       }
 
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+
       // --- Token (JWT) beim WS Connect mitsenden ---
       const baseUrl = this.normalizeWsUrl(API_CONFIG.WS_URL);
 
@@ -55,107 +130,308 @@ class WebSocketService {
       // Option 1: Token als Query-Param
       const url = token ? `${baseUrl}?token=${encodeURIComponent(token)}` : baseUrl;
 
-      this.ws = new WebSocket(url);
+      const ws = new WebSocket(url);
+      this.ws = ws;
+      this.setState('connecting');
 
-      this.ws.onopen = () => {
+      // Events eines ersetzten Sockets (z.B. nach Heartbeat-Reconnect) ignorieren
+      ws.onopen = () => {
+        if (this.ws !== ws) return;
         console.log('WebSocket connected:', url);
         this.connected = true;
         this.reconnectAttempts = 0;
-        this.lastMessageAt = Date.now();
+        this.setState('open');
         this.emit('connected');
 
-        // Option 2: Zusätzlich Auth-Message senden (falls Backend das braucht)
-        if (token) {
-          // mehrere mögliche Auth-Events probieren (robust)
-          this.safeSend({ event: 'auth', token });
-          this.safeSend({ type: 'auth', token });
-          this.safeSend({ event: 'authenticate', token });
-          this.safeSend({ type: 'authenticate', token });
-          this.safeSend({ event: 'login', token });
-          this.safeSend({ type: 'login', token });
-        }
+        // Handshake (HELLO) bzw. ein AUTH-Frame, sobald der Dialekt feststeht
+        this.protocol.getOpenFrames(token).forEach((frame) => this.safeSend(frame));
+
+        // Nach jedem Reconnect neu anmelden (Server meldete uns offline);
+        // beim ersten Verbindungsaufbau erst nach WELCOME (Dialekt noch offen)
+        this.sendPresence();
+
+        this.startHeartbeat();
       };
 
-      this.ws.onmessage = (event) => {
-        this.lastMessageAt = Date.now();
+      ws.onmessage = (event) => {
+        if (this.ws !== ws) return;
         this.handleMessage(event.data);
       };
 
-      this.ws.onclose = (event) => {
-        console.warn('WebSocket closed:', event.code, event.reason);
-        this.connected = false;
-        this.emit('disconnected');
-
-        if (event.code !== 1000) this.attemptReconnect();
+      ws.onclose = (event) => {
+        if (this.ws !== ws) return;
+        this.handleClose(event);
       };
 
-      this.ws.onerror = (error) => {
+      ws.onerror = (error) => {
+        if (this.ws !== ws) return;
         console.error('WebSocket error:', error);
-        this.connected = false;
         this.emit('error', error);
       };
     } catch (err) {
       console.error('Failed to connect WebSocket:', err);
       this.connected = false;
+      this.setState('offline');
+    }
+  }
+
+  handleClose(event) {
+    console.warn('WebSocket closed:', event.code, event.reason);
+    this.stopHeartbeat();
+    this.connected = false;
+    this.emit('disconnected');
+
+    // Token abgelaufen/ungültig -> kein Reconnect, Session beenden
+    if (this.authFailureCodes.includes(event.code)) {
+      this.shouldReconnect = false;
+      this.setState('offline');
+      this.emit('auth_failed', event);
+      return;
+    }
+
+    if (event.code !== 1000) {
+      this.attemptReconnect();
+    } else {
+      this.setState('offline');
+    }
+  }
+
+  /**
+   * Browser-Events: online/offline und Tab-Sichtbarkeit (einmalig registriert)
+   */
+  attachBrowserListeners() {
+    if (this.browserListenersAttached || typeof window === 'undefined') return;
+    this.browserListenersAttached = true;
+
+    window.addEventListener('online', () => {
+      if (this.shouldReconnect && !this.connected) this.reconnectNow();
+    });
+
+    window.addEventListener('offline', () => {
+      if (!this.shouldReconnect || this.connected) return; // Heartbeat prüft offene Sockets
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      this.setState('offline');
+    });
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', () => {
+        // Tab verborgen -> abwesend
+        this.sendPresence();
+
+        if (document.visibilityState !== 'visible' || !this.shouldReconnect) return;
+
+        // Nach Standby: Verbindung sofort prüfen statt auf Timer zu warten
+        if (this.connected) {
+          this.sendPing();
+        } else {
+          this.reconnectNow();
+        }
+      });
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Heartbeat
+  // ------------------------------------------------------------
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.missedPongs = 0;
+    this.lastPongAt = Date.now();
+    if (this.protocol.supports('ping')) this.pongSupported = true;
+
+    this.sendPing();
+    this.heartbeatTimer = setInterval(() => this.sendPing(), WS_HEARTBEAT.INTERVAL);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.pongTimer);
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+  }
+
+  sendPing() {
+    // Vorheriger Ping noch offen -> zählt als verpasst
+    if (this.pongTimer) this.handleMissedPong();
+    if (!this.connected) return;
+
+    this.send('PING', Date.now());
+    this.pongTimer = setTimeout(() => this.handleMissedPong(), WS_HEARTBEAT.TIMEOUT);
+  }
+
+  handlePong(payload) {
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+    this.missedPongs = 0;
+    this.lastPongAt = Date.now();
+    this.pongSupported = true;
+
+    const sentAt = Number(payload?.sentAt);
+    this.latency = sentAt ? this.lastPongAt - sentAt : null;
+
+    if (this.connected) this.setState('open');
+    this.emit('heartbeat', { latency: this.latency });
+  }
+
+  handleMissedPong() {
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+
+    // Server kennt kein Ping -> nichts erzwingen, isStale() aktiviert Polling
+    if (!this.pongSupported) return;
+
+    this.missedPongs++;
+    console.warn(`WebSocket heartbeat: ${this.missedPongs} pong(s) missed`);
+
+    if (this.missedPongs >= WS_HEARTBEAT.MAX_MISSED) {
+      this.forceReconnect('Heartbeat timeout');
+    } else {
+      this.setState('degraded');
+    }
+  }
+
+  /**
+   * Tote Verbindung sofort aufgeben (close() kann bei totem Netz lange dauern)
+   */
+  forceReconnect(reason) {
+    const ws = this.ws;
+    this.ws = null;
+    try {
+      ws?.close(HEARTBEAT_CLOSE_CODE, reason);
+    } catch (e) {
+      // ignore
     }
+    this.handleClose({ code: HEARTBEAT_CLOSE_CODE, reason });
   }
 
+  /**
+   * Nächster Versuch mit exponentiellem Backoff (Jitter, Obergrenze), ohne Aufgeben
+   */
   attemptReconnect() {
-    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.warn('Max reconnect attempts reached');
-      this.emit('reconnect_failed');
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (!this.shouldReconnect) return;
+
+    // Offline -> auf 'online' warten statt sinnlos zu versuchen
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      this.setState('offline');
       return;
     }
 
+    const delay = this.getReconnectDelay(this.reconnectAttempts);
     this.reconnectAttempts++;
-    setTimeout(() => this.connect(), this.reconnectDelay);
+    this.setState('reconnecting');
+    console.log(`WebSocket reconnect #${this.reconnectAttempts} in ${Math.round(delay)}ms`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
   }
 
-  handleMessage(raw) {
+  /**
+   * Backoff mit "equal jitter": mindestens die Hälfte des exponentiellen Werts
+   * @param {number} attempt - Bisherige Versuche (0-basiert)
+   * @returns {number} Wartezeit in ms
+   */
+  getReconnectDelay(attempt) {
+    const exponential = Math.min(WS_RECONNECT.MAX_DELAY, WS_RECONNECT.BASE_DELAY * 2 ** attempt);
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  /**
+   * Sofort neu verbinden (Button "Jetzt verbinden", online, Tab sichtbar)
+   */
+  reconnectNow() {
+    this.shouldReconnect = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+
+    // Gesunde Verbindung nicht abbrechen
+    if (this.connected && this.state === 'open') return;
+
+    // Hängenden/degradierten Socket verwerfen
+    const ws = this.ws;
+    const wasConnected = this.connected;
+    this.ws = null;
+    this.stopHeartbeat();
+    this.connected = false;
     try {
-      const msg = JSON.parse(raw);
+      ws?.close(1000, 'Reconnect');
+    } catch (e) {
+      // ignore
+    }
+    if (wasConnected) this.emit('disconnected');
+
+    this.connect();
+  }
 
-      // mehrere Shapes akzeptieren
-      const event = msg?.event ?? msg?.type;
-      const payload = msg?.payload ?? msg?.data ?? msg?.message ?? msg?.user ?? msg;
+  handleMessage(raw) {
+    try {
+      const decoded = this.protocol.decode(raw);
+      const { event, payload } = decoded;
 
       if (!event) {
-        console.warn('WS message without event/type:', msg);
-        this.emit('raw', msg);
+        console.warn('WS message without event/type:', decoded.frame);
+        this.emit('raw', decoded.frame);
         return;
       }
 
-      // Backend-Events: new_message/new_login/changed_user/deleted_user/...
-      switch (event) {
-        case 'new_message':
-          this.emit('message', payload);
-          break;
-
-        case 'new_login':
-        case 'changed_user':
-          this.emit('user_joined', payload);
-          break;
-
-        case 'deleted_user':
-          this.emit('user_left', payload);
-          break;
-
-        case 'changed_message':
-          this.emit('message_updated', payload);
-          break;
-
-        case 'deleted_message':
-          this.emit('message_deleted', payload);
-          break;
-
-        default:
-          this.emit(event, payload);
+      if (event === WS_EVENTS.PONG) {
+        this.handlePong(payload);
+        return;
+      }
+
+      // typing / start_typing / stop_typing -> ein 'typing'-Event
+      if (event === WS_EVENTS.TYPING || event === WS_EVENTS.START_TYPING || event === WS_EVENTS.STOP_TYPING) {
+        this.emit('typing', this.normalizeTyping(event, payload));
+        return;
+      }
+
+      if (event === WS_EVENTS.PRESENCE) {
+        this.emit('presence', {
+          userId: payload?.userId ?? payload?.id ?? payload?.user?.id ?? null,
+          username: payload?.username ?? payload?.user?.username ?? null,
+          status: payload?.status ?? 'online',
+        });
+        return;
+      }
+
+      // Handshake-Antwort / ACK -> nur für den Protokoll-Adapter
+      if (this.protocol.handleControl(decoded)) {
+        if (this.protocol.supports('ping')) this.pongSupported = true;
+        if (event === WS_EVENTS.WELCOME) this.sendPresence();
+        return;
       }
+
+      // Backend-Events: new_message/new_login/changed_user/deleted_user/...
+      this.emit(EVENT_MAP[event] || event, payload);
     } catch (err) {
       console.error('Failed to handle WS message:', err, raw);
     }
   }
 
+  /**
+   * Typing-Payloads vereinheitlichen
+   * @returns {object} { userId, username, receiverId, isTyping }
+   */
+  normalizeTyping(event, payload) {
+    let isTyping = payload?.isTyping !== false;
+    if (event === WS_EVENTS.START_TYPING) isTyping = true;
+    if (event === WS_EVENTS.STOP_TYPING) isTyping = false;
+
+    return {
+      userId: payload?.userId ?? payload?.from ?? payload?.senderId ?? payload?.user?.id ?? null,
+      username: payload?.username ?? payload?.user?.username ?? null,
+      receiverId: payload?.receiverId ?? payload?.to ?? null,
+      isTyping,
+    };
+  }
+
   on(event, handler) {
     if (!this.eventHandlers.has(event)) this.eventHandlers.set(event, []);
     this.eventHandlers.get(event).push(handler);
@@ -176,45 +452,54 @@ class WebSocketService {
     return this.connected;
   }
 
+  /**
+   * Gemessen am Heartbeat, nicht am Chat-Verkehr (ein ruhiger Chat ist nicht stale)
+   * @returns {boolean} true wenn Echtzeit-Zustellung nicht gesichert ist -> Polling
+   */
   isStale() {
     if (!this.connected) return true;
-    if (!this.lastMessageAt) return true;
-    return Date.now() - this.lastMessageAt > this.staleAfterMs;
+    // Server ohne Ping-Support: Verbindung nicht überprüfbar
+    if (!this.pongSupported) return true;
+    if (this.state === 'degraded') return true;
+    return Date.now() - this.lastPongAt > WS_HEARTBEAT.INTERVAL + WS_HEARTBEAT.TIMEOUT;
   }
 
   /**
-   * Used by chat.js
+   * Nachricht per WS senden (chat.js sendet über REST, der Server pusht new_message)
    */
   sendMessage(receiverId, text) {
-    // mehrere mögliche Shapes (robust)
-    this.safeSend({ event: 'message', receiverId, message: text });
-    this.safeSend({ type: 'message', receiverId, message: text });
-
-    this.safeSend({ event: 'message', to: receiverId, message: text });
-    this.safeSend({ type: 'message', to: receiverId, message: text });
+    return this.send('SEND_MESSAGE', receiverId, text);
   }
 
   /**
    * Used by chat.js
    */
   sendTyping(receiverId, isTyping) {
-    const evt = isTyping ? 'start_typing' : 'stop_typing';
-
-    this.safeSend({ event: evt, to: receiverId });
-    this.safeSend({ type: evt, to: receiverId });
+    return this.send(isTyping ? 'START_TYPING' : 'STOP_TYPING', receiverId);
+  }
 
-    // fallback shape
-    this.safeSend({ event: 'typing', receiverId, isTyping });
-    this.safeSend({ type: 'typing', receiverId, isTyping });
+  /**
+   * Eigene Anwesenheit senden (online / away bei verborgenem Tab),
+   * nur wenn der Server 'presence' unterstützt
+   */
+  sendPresence() {
+    if (!this.connected || !this.protocol.supports('presence')) return false;
+    const hidden = typeof document !== 'undefined' && document.visibilityState === 'hidden';
+    return this.send('PRESENCE', hidden ? 'away' : 'online');
   }
 
   disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.stopHeartbeat();
     if (!this.ws) return;
     try {
       this.ws.close(1000, 'Client disconnect');
     } finally {
       this.ws = null;
       this.connected = false;
+      this.setState('offline');
     }
   }
 }
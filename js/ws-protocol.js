@@ -0,0 +1,132 @@
+/**
+ * WebSocket Protocol
+ * Adapter between WebSocketService and the frame format ("dialect") of the server.
+ *
+ * The dialect is either declared in the config (API_CONFIG.WS_EVENTS.DIALECT)
+ * or negotiated once per page load:
+ *   1. On open a single HELLO frame is sent (token + supported dialects).
+ *      A server that knows the handshake answers WELCOME { dialect, capabilities }.
+ *   2. Otherwise the dialect is learned from the first frame the server
+ *      acknowledges (ACK): the field the ACK names its event in is the dialect.
+ * Until then the first dialect of WS_EVENTS.FRAMES is used. Every action is
+ * sent as exactly one frame.
+ */
+
+import API_CONFIG from '../config/api.config.js';
+
+// What this client can do (sent with HELLO)
+const CLIENT_CAPABILITIES = ['typing', 'ping', 'presence'];
+
+export class WsProtocol {
+    /**
+     * @param {object} events - Event names, DIALECT and FRAMES (API_CONFIG.WS_EVENTS)
+     */
+    constructor(events = API_CONFIG.WS_EVENTS) {
+        this.events = events;
+        this.dialects = Object.keys(events.FRAMES);
+
+        const declared = events.DIALECT !== 'auto' && events.FRAMES[events.DIALECT]
+            ? events.DIALECT
+            : null;
+        if (events.DIALECT !== 'auto' && !declared) {
+            console.warn(`Unknown WebSocket dialect "${events.DIALECT}" - negotiating instead`);
+        }
+
+        this.declared = declared;
+        this.dialect = declared || this.dialects[0];
+        this.negotiated = !!declared;
+
+        // Capabilities announced by the server (WELCOME)
+        this.capabilities = new Set();
+    }
+
+    /**
+     * Build the frame for an action in the current dialect
+     * @param {string} action - Key of WS_EVENTS.FRAMES[dialect] (e.g. 'SEND_MESSAGE')
+     * @param {...any} args - Arguments of the frame builder
+     * @returns {object} Frame
+     */
+    encode(action, ...args) {
+        const build = this.events.FRAMES[this.dialect][action];
+        if (!build) {
+            throw new Error(`WebSocket action "${action}" is not defined for dialect "${this.dialect}"`);
+        }
+        return build(...args);
+    }
+
+    /**
+     * Frames to send right after the socket opened
+     * @param {string|null} token - JWT (also sent as query parameter)
+     * @returns {array} Frames
+     */
+    getOpenFrames(token) {
+        if (!this.negotiated) {
+            return [this.encode('HELLO', {
+                token,
+                dialects: this.dialects,
+                capabilities: CLIENT_CAPABILITIES,
+            })];
+        }
+        return token ? [this.encode('AUTH', token)] : [];
+    }
+
+    /**
+     * Parse an incoming frame (accepts { event|type, data|payload|... })
+     * @param {string} raw - Raw frame
+     * @returns {object} { event, payload, field, frame } - event/field are null for frames without name
+     */
+    decode(raw) {
+        const frame = JSON.parse(raw);
+        const field = this.dialects.find(name => typeof frame?.[name] === 'string') || null;
+
+        return {
+            event: field ? frame[field] : null,
+            payload: frame?.payload ?? frame?.data ?? frame?.message ?? frame?.user ?? frame,
+            field,
+            frame,
+        };
+    }
+
+    /**
+     * Handle protocol frames (handshake reply, acknowledgements)
+     * @param {object} decoded - Result of decode()
+     * @returns {boolean} True if the frame was a protocol frame (not for listeners)
+     */
+    handleControl({ event, payload, field }) {
+        if (event === this.events.WELCOME) {
+            if (!this.declared) {
+                this.adopt(this.events.FRAMES[payload?.dialect] ? payload.dialect : field, 'handshake');
+            }
+            this.capabilities = new Set(Array.isArray(payload?.capabilities) ? payload.capabilities : []);
+            return true;
+        }
+
+        if (event === this.events.ACK) {
+            if (!this.negotiated) {
+                this.adopt(field, 'acknowledged frame');
+            }
+            return true;
+        }
+
+        return false;
+    }
+
+    adopt(dialect, source) {
+        if (!this.events.FRAMES[dialect]) return;
+
+        this.dialect = dialect;
+        this.negotiated = true;
+        console.log(`WebSocket dialect "${dialect}" (${source})`);
+    }
+
+    /**
+     * Check if the server announced a capability
+     * @param {string} name - Capability (e.g. 'ping')
+     * @returns {boolean} True if supported
+     */
+    supports(name) {
+        return this.capabilities.has(name);
+    }
+}
+
+export default WsProtocol;
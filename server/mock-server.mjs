@@ -0,0 +1,557 @@
+/**
+ * Mock Backend Server
+ * Lokaler Ersatz für https://chat.ndum.ch - spricht dasselbe REST- und WebSocket-Protokoll
+ *
+ * Start: npm run mock  (Port über MOCK_PORT, Standard 3001)
+ * Der gesamte Zustand liegt im Speicher und geht beim Neustart verloren.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+
+const PORT = Number(process.env.MOCK_PORT) || 3001;
+const API_PREFIX = '/api/v1';
+const TOKEN_TTL_SECONDS = Number(process.env.MOCK_TOKEN_TTL) || 3600;
+const JWT_SECRET = process.env.MOCK_JWT_SECRET || crypto.randomBytes(32).toString('hex');
+
+// ============================================
+// IN-MEMORY STATE
+// ============================================
+
+const state = {
+    users: [],
+    messages: [],
+    nextUserId: 1,
+    nextMessageId: 1,
+};
+
+/**
+ * Hash a password (good enough for an in-memory mock)
+ * @param {string} password - Plain password
+ * @returns {string} Hex digest
+ */
+function hashPassword(password) {
+    return crypto.createHash('sha256').update(password).digest('hex');
+}
+
+/**
+ * Public representation of a user (never expose the password hash)
+ * @param {object} user - Stored user
+ * @returns {object} User payload
+ */
+function publicUser(user) {
+    return { id: user.id, username: user.username };
+}
+
+/**
+ * Public representation of a message
+ * NOTE: Like the real backend, the receiver is not part of the payload
+ * @param {object} message - Stored message
+ * @returns {object} Message payload
+ */
+function publicMessage(message) {
+    return {
+        id: message.id,
+        userId: message.userId,
+        username: message.username,
+        message: message.message,
+        createdAt: message.createdAt,
+        updatedAt: message.updatedAt,
+    };
+}
+
+/**
+ * Create a user
+ * @param {string} username - Username
+ * @param {string} password - Plain password
+ * @returns {object} Stored user
+ */
+function createUser(username, password) {
+    const user = {
+        id: state.nextUserId++,
+        username,
+        passwordHash: hashPassword(password),
+    };
+    state.users.push(user);
+    return user;
+}
+
+function findUserById(id) {
+    return state.users.find(u => String(u.id) === String(id));
+}
+
+function findUserByName(username) {
+    return state.users.find(u => u.username === username);
+}
+
+function findMessageById(id) {
+    return state.messages.find(m => String(m.id) === String(id));
+}
+
+// Optional seed users: MOCK_SEED=alice,bob (Passwort jeweils "password123")
+if (process.env.MOCK_SEED) {
+    process.env.MOCK_SEED.split(',')
+        .map(name => name.trim())
+        .filter(Boolean)
+        .forEach(name => createUser(name, 'password123'));
+}
+
+// ============================================
+// JWT (HS256)
+// ============================================
+
+function base64url(input) {
+    return Buffer.from(input).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function sign(data) {
+    return crypto.createHmac('sha256', JWT_SECRET).update(data).digest('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Issue a signed JWT for a user
+ * @param {object} user - Stored user
+ * @returns {string} JWT
+ */
+function issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+    const payload = base64url(JSON.stringify({
+        sub: user.id,
+        username: user.username,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+    }));
+    return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a JWT and resolve its user
+ * @param {string} token - JWT
+ * @returns {object|null} Stored user or null if invalid/expired
+ */
+function verifyToken(token) {
+    if (!token) return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [header, payload, signature] = parts;
+    const expected = sign(`${header}.${payload}`);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+        if (claims.exp && claims.exp * 1000 < Date.now()) return null;
+        return findUserById(claims.sub) || null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// ============================================
+// WEBSOCKET
+// ============================================
+
+const wss = new WebSocketServer({ noServer: true });
+
+/**
+ * Broadcast an event to all authenticated clients
+ * @param {string} event - Event name (new_message, changed_user, ...)
+ * @param {object} data - Event payload
+ */
+function broadcast(event, data) {
+    const frame = JSON.stringify({ event, data });
+    wss.clients.forEach(client => {
+        if (client.readyState === client.OPEN) {
+            client.send(frame);
+        }
+    });
+}
+
+/**
+ * Handle a frame sent by a client
+ * Handshake and heartbeat are answered, typing is relayed to the receiver,
+ * presence (online/away) to everyone else.
+ * Messages are created via REST.
+ * @param {WebSocket} socket - Client socket
+ * @param {string} raw - Raw frame
+ */
+function handleClientFrame(socket, raw) {
+    let frame;
+    try {
+        frame = JSON.parse(raw);
+    } catch (error) {
+        return;
+    }
+
+    if (frame.event === 'hello') {
+        socket.send(JSON.stringify({ event: 'welcome', data: { dialect: 'event', capabilities: ['ping', 'typing', 'presence'] } }));
+    } else if (frame.event === 'ping') {
+        socket.send(JSON.stringify({ event: 'pong', data: { sentAt: frame.sentAt } }));
+    } else if (frame.event === 'start_typing' || frame.event === 'stop_typing') {
+        const data = {
+            userId: socket.user.id,
+            username: socket.user.username,
+            receiverId: Number(frame.receiverId),
+        };
+        wss.clients.forEach(client => {
+            if (client.readyState === client.OPEN && client.user?.id === data.receiverId) {
+                client.send(JSON.stringify({ event: frame.event, data }));
+            }
+        });
+    } else if (frame.event === 'presence') {
+        broadcastPresence(socket.user, frame.status === 'away' ? 'away' : 'online', socket);
+    }
+}
+
+/**
+ * Send a user's presence to all other clients
+ * @param {object} user - User the presence belongs to
+ * @param {string} status - online | away | offline
+ * @param {WebSocket} except - Socket that reported it
+ */
+function broadcastPresence(user, status, except) {
+    const frame = JSON.stringify({ event: 'presence', data: { userId: user.id, username: user.username, status } });
+    wss.clients.forEach(client => {
+        if (client !== except && client.readyState === client.OPEN) {
+            client.send(frame);
+        }
+    });
+}
+
+wss.on('connection', (socket, request, user) => {
+    socket.user = user;
+    console.log(`[ws] ${user.username} connected (${wss.clients.size} clients)`);
+
+    // A new connection means the user is (back) online, e.g. after a reconnect
+    broadcastPresence(user, 'online', socket);
+
+    socket.on('message', (raw) => handleClientFrame(socket, String(raw)));
+
+    socket.on('close', () => {
+        console.log(`[ws] ${user.username} disconnected`);
+
+        // Offline once the last tab of the user is gone
+        const stillConnected = [...wss.clients].some(client => client !== socket && client.user?.id === user.id);
+        if (!stillConnected) {
+            broadcastPresence(user, 'offline', socket);
+        }
+    });
+});
+
+// ============================================
+// HTTP HELPERS
+// ============================================
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+    res.end(data === undefined ? '' : JSON.stringify(data));
+}
+
+function sendError(res, status, message) {
+    sendJson(res, status, { message });
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<object>} Parsed body ({} if empty)
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', chunk => {
+            raw += chunk;
+        });
+        req.on('end', () => {
+            if (!raw) return resolve({});
+            try {
+                resolve(JSON.parse(raw));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// ============================================
+// ROUTES
+// ============================================
+
+async function handleRegister(req, res) {
+    const { username, password } = await readBody(req);
+
+    if (!username || !password) {
+        return sendError(res, 400, 'username and password are required');
+    }
+    if (findUserByName(username)) {
+        return sendError(res, 409, 'Username already taken');
+    }
+
+    createUser(username, password);
+    sendJson(res, 201, { success: true });
+}
+
+async function handleLogin(req, res) {
+    const { username, password } = await readBody(req);
+
+    if (!username || !password) {
+        return sendError(res, 400, 'username and password are required');
+    }
+
+    const user = findUserByName(username);
+    if (!user) {
+        return sendError(res, 404, 'User not found');
+    }
+    if (user.passwordHash !== hashPassword(password)) {
+        return sendError(res, 401, 'Invalid credentials');
+    }
+
+    broadcast('new_login', publicUser(user));
+    sendJson(res, 200, { userId: user.id, token: issueToken(user) });
+}
+
+async function handleUsers(req, res, currentUser, id) {
+    if (id === undefined) {
+        if (req.method !== 'GET') return sendError(res, 405, 'Method not allowed');
+        return sendJson(res, 200, state.users.map(publicUser));
+    }
+
+    const user = findUserById(id);
+    if (!user) {
+        return sendError(res, 404, 'User not found');
+    }
+
+    switch (req.method) {
+        case 'GET':
+            return sendJson(res, 200, publicUser(user));
+
+        case 'PUT': {
+            if (user.id !== currentUser.id) {
+                return sendError(res, 403, 'You can only update your own account');
+            }
+            const { username, password } = await readBody(req);
+            if (username && username !== user.username) {
+                if (findUserByName(username)) {
+                    return sendError(res, 409, 'Username already taken');
+                }
+                user.username = username;
+                // Keep denormalized sender names in sync
+                state.messages
+                    .filter(m => m.userId === user.id)
+                    .forEach(m => { m.username = username; });
+            }
+            if (password) {
+                user.passwordHash = hashPassword(password);
+            }
+            broadcast('changed_user', publicUser(user));
+            return sendJson(res, 200, publicUser(user));
+        }
+
+        case 'DELETE':
+            if (user.id !== currentUser.id) {
+                return sendError(res, 403, 'You can only delete your own account');
+            }
+            state.users = state.users.filter(u => u.id !== user.id);
+            broadcast('deleted_user', publicUser(user));
+            return sendJson(res, 200, { success: true });
+
+        default:
+            return sendError(res, 405, 'Method not allowed');
+    }
+}
+
+async function handleMessages(req, res, currentUser, id, query) {
+    if (id === undefined) {
+        if (req.method === 'GET') {
+            // ?since=<ISO date>: only messages created at or after that time
+            // ?before=<ISO date>: only messages created before that time
+            // ?limit=<n>: only the newest n of the result
+            const since = Date.parse(query.get('since'));
+            const before = Date.parse(query.get('before'));
+            const limit = parseInt(query.get('limit'), 10);
+
+            let messages = state.messages;
+            if (!Number.isNaN(since)) {
+                messages = messages.filter(m => Date.parse(m.createdAt) >= since);
+            }
+            if (!Number.isNaN(before)) {
+                messages = messages.filter(m => Date.parse(m.createdAt) < before);
+            }
+            if (limit > 0) {
+                messages = messages.slice(-limit);
+            }
+            return sendJson(res, 200, messages.map(publicMessage));
+        }
+
+        if (req.method === 'POST') {
+            const receiverId = query.get('receiverId');
+            const { message } = await readBody(req);
+
+            if (!receiverId) {
+                return sendError(res, 400, 'receiverId query parameter is required');
+            }
+            if (!findUserById(receiverId)) {
+                return sendError(res, 404, 'Receiver not found');
+            }
+            if (typeof message !== 'string' || !message.trim()) {
+                return sendError(res, 400, 'message is required');
+            }
+
+            const record = {
+                id: state.nextMessageId++,
+                userId: currentUser.id,
+                username: currentUser.username,
+                receiverId: Number(receiverId),
+                message,
+                createdAt: new Date().toISOString(),
+            };
+            state.messages.push(record);
+
+            broadcast('new_message', publicMessage(record));
+            return sendJson(res, 201, publicMessage(record));
+        }
+
+        return sendError(res, 405, 'Method not allowed');
+    }
+
+    const record = findMessageById(id);
+    if (!record) {
+        return sendError(res, 404, 'Message not found');
+    }
+
+    switch (req.method) {
+        case 'GET':
+            return sendJson(res, 200, publicMessage(record));
+
+        case 'PUT': {
+            if (record.userId !== currentUser.id) {
+                return sendError(res, 403, 'You can only edit your own messages');
+            }
+            const { message } = await readBody(req);
+            if (typeof message !== 'string' || !message.trim()) {
+                return sendError(res, 400, 'message is required');
+            }
+            record.message = message;
+            record.updatedAt = new Date().toISOString();
+            broadcast('changed_message', publicMessage(record));
+            return sendJson(res, 200, publicMessage(record));
+        }
+
+        case 'DELETE':
+            if (record.userId !== currentUser.id) {
+                return sendError(res, 403, 'You can only delete your own messages');
+            }
+            state.messages = state.messages.filter(m => m.id !== record.id);
+            broadcast('deleted_message', publicMessage(record));
+            return sendJson(res, 200, { success: true });
+
+        default:
+            return sendError(res, 405, 'Method not allowed');
+    }
+}
+
+/**
+ * Route an incoming HTTP request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    if (req.method === 'OPTIONS') {
+        return sendJson(res, 204);
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (!url.pathname.startsWith(API_PREFIX)) {
+        return sendError(res, 404, 'Not found');
+    }
+
+    // Only /<resource> and /<resource>/<id> exist - anything longer is a wrong URL
+    const segments = url.pathname.slice(API_PREFIX.length).split('/').filter(Boolean);
+    if (segments.length > 2) {
+        return sendError(res, 404, 'Not found');
+    }
+    const [resource, id] = segments;
+
+    try {
+        // Public routes
+        if (resource === 'auth' && req.method === 'POST') {
+            if (id === 'register') return await handleRegister(req, res);
+            if (id === 'login') return await handleLogin(req, res);
+        }
+
+        // Protected routes
+        if (resource === 'users' || resource === 'messages') {
+            const currentUser = verifyToken(getBearerToken(req));
+            if (!currentUser) {
+                return sendError(res, 401, 'Unauthorized');
+            }
+
+            if (resource === 'users') {
+                return await handleUsers(req, res, currentUser, id);
+            }
+            return await handleMessages(req, res, currentUser, id, url.searchParams);
+        }
+
+        sendError(res, 404, 'Not found');
+    } catch (error) {
+        if (error instanceof SyntaxError) {
+            return sendError(res, 400, 'Invalid JSON body');
+        }
+        console.error('[http] Unhandled error:', error);
+        sendError(res, 500, 'Internal server error');
+    }
+}
+
+// ============================================
+// SERVER
+// ============================================
+
+const server = http.createServer((req, res) => {
+    handleRequest(req, res).finally(() => {
+        console.log(`[http] ${req.method} ${req.url} -> ${res.statusCode}`);
+    });
+});
+
+server.on('upgrade', (request, socket, head) => {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    const user = verifyToken(url.searchParams.get('token'));
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+        if (!user) {
+            // 1008 = Policy Violation (invalid or expired token)
+            ws.close(1008, 'Unauthorized');
+            return;
+        }
+        wss.emit('connection', ws, request, user);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`LiveChat mock backend running`);
+    console.log(`  REST:      http://localhost:${PORT}${API_PREFIX}`);
+    console.log(`  WebSocket: ws://localhost:${PORT}`);
+});